@@ -10,10 +10,17 @@
  *
  * The callback methods passed to both methods receive an optional error object
  * in case there was an error.
+ *
+ * The texts of the notifications are kept in the message catalogs in the
+ * locales directory, one for every locale supported by the App.
  */
 
 var _ = require("lodash");
 
+var Speakap = require("./speakap"); // speakap.js from the node directory
+
+var t = new Speakap.Localization({ directory: __dirname + "/locales" }).t;
+
 function Notifier(speakapApi) {
 
     this.speakapApi = speakapApi;
@@ -23,28 +30,20 @@ _.extend(Notifier.prototype, {
 
     sendDeletedScheduleNotification: function(networkEid, userEid, week, appData, callback) {
 
-        var bodyDE = "Sie sind nicht mehr zum Arbeiten in Woche " + week + " eingeplant.";
-        var bodyEN = "You are no longer scheduled to work in week " + week + ".";
-        var bodyNL = "Je bent niet meer ingeroosterd voor week " + week + ".";
-
-        this.speakapApi.post("/networks/" + networkEid + "/alerts/", {
+        this.speakapApi.network(networkEid).alerts.send({
             appData: appData,
             recipients: [{ type: "user", EID: userEid }],
-            localizableBody: { "de-DE": bodyDE, "en-US": bodyEN, "nl-NL": bodyNL }
+            localizableBody: t("schedule.deleted", { week: week })
         }, callback);
     },
 
     sendNewScheduleNotification: function(networkEid, userEid, week, appData, callback) {
 
-        var bodyDE = "Ihr Plan für Woche " + week + " ist verfügbar.";
-        var bodyEN = "Your schedule for week " + week + " is available.";
-        var bodyNL = "Je rooster voor week " + week + " staat klaar.";
-
-        this.speakapApi.post("/networks/" + networkEid + "/messages/", {
+        this.speakapApi.network(networkEid).messages.create({
             appData: appData,
             messageType: "app_update",
             recipient: { type: "user", EID: userEid },
-            localizableBody: { "de-DE": bodyDE, "en-US": bodyEN, "nl-NL": bodyNL }
+            localizableBody: t("schedule.published", { week: week })
         }, callback);
     }
 
@@ -1,23 +1,30 @@
 "use strict";
 
 /**
- * This is an example Express.js middleware showing how to create and validate
- * sessions based on the signed request from Speakap.
+ * This is an example Express.js application showing how to create and validate
+ * sessions based on the signed request from Speakap, using the middleware
+ * that ships with the Node.js library.
  *
- * The middleware works using a create() and a validate() method. The create()
- * method is called for the signed request and always creates a new session.
- * The session object is attached to the req variable and contains a unique
- * session ID. This session ID is exported to the client by including it in the
- * HTML body of the response (this happens outside of the file in this example)
- * The client then takes care to attach a "Session-Token" header to all its XHR
- * requests, which should match the session ID known by the server.
+ * The launch() middleware handles the signed request that Speakap POSTs when
+ * the App is opened. It validates the signed request and always creates a new
+ * session. The session object is attached to the req variable and contains a
+ * unique session ID. This session ID is exported to the client by including it
+ * in the HTML body of the response. The client then takes care to attach a
+ * "Session-Token" header to all its XHR requests, which should match the
+ * session ID known by the server.
  *
- * The validate() method is installed as Express.js middleware by doing
- * "app.use(sessions.validate);" before handling any XHR requests that should be
- * validated.
+ * The requireSession() middleware is installed before handling any XHR
+ * requests that should be validated.
  *
- * Note that sessions are persisted in Redis to allow for load-balancing between
- * multiple Node.js instances.
+ * Note that sessions are kept in memory in this example. If you load-balance
+ * between multiple Node.js instances, either pass a shared store implementing
+ * the same get() and set() methods as Speakap.MemoryStore instead, or use a
+ * Speakap.sessions.StatelessSessionStore, which encodes the session in the
+ * session token itself:
+ *
+ *   var sessionStore = new Speakap.sessions.StatelessSessionStore({
+ *       secret: config.sessionSecret
+ *   });
  *
  * We use a Session-Token header instead of cookies to avoid problems with
  * browsers blocking third-party cookies. Because Speakap Applications run
@@ -26,51 +33,45 @@
  * provide options to the user to do so.
  */
 
-var uuid = require("node-uuid");
-var redis = require("redis");
+var bodyParser = require("body-parser");
+var express = require("express");
 
 var config = require("./config"); // exports just a JSON file with our config
-var redisClient = redis.createClient(config.redis.port, config.redis.hostname);
-
-var expressSession = require("express-session");
-var RedisStore = require("connect-redis")(expressSession);
-var sessionStore = new RedisStore({ client: redisClient });
 
 var Speakap = require("./speakap"); // speakap.js from the node directory
 
-var ONE_WEEK = 7 * 24 * 60 * 60 * 1000; // ms
+var sessionStore = new Speakap.sessions.MemorySessionStore();
 
-function create(req, res, next) {
+var app = express();
 
-    var session = {
-        cookie: { maxAge: ONE_WEEK },
-        id: uuid.v4(),
-        locale: req.body.locale,
-        networkId: req.body.networkEID,
-        role: req.body.role,
-        signedRequest: Speakap.signedRequest(req.body),
-        userId: req.body.userEID
-    };
+app.post("/", bodyParser.urlencoded({ extended: false }), Speakap.middleware.launch({
+    appId: config.speakap.appId,
+    appSecret: config.speakap.appSecret,
+    replayStore: new Speakap.MemoryStore(),
+    store: sessionStore
+}), function(req, res) {
 
-    sessionStore.set(session.id, session);
+    res.render("index", {
+        sessionToken: req.session.id,
+        signedRequest: req.session.signedRequest
+    });
+});
 
-    req.session = session;
-}
+app.use("/api", Speakap.middleware.requireSession({ store: sessionStore }));
 
-function validate(req, res, next) {
+app.get("/api/me", function(req, res) {
 
-    sessionStore.get(req.get("Session-Token"), function(error, session) {
-        if (error) {
-            next(error);
-        } else if (session) {
-            req.session = session;
-        } else {
-            next("Invalid Token: " + req.get("Session-Token"));
-        }
+    res.json({
+        networkEID: req.session.networkEID,
+        userEID: req.session.userEID,
+        role: req.session.role,
+        locale: req.session.locale
     });
-}
+});
+
+app.use(function(error, req, res, next) {
+
+    res.status(error.status || 500).json({ message: error.message });
+});
 
-module.exports = {
-    create: create,
-    validate: validate
-};
+module.exports = app;
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * Cache for replies to GET requests to the Speakap API.
+ *
+ * Replies are cached if they carry an ETag or Last-Modified header, or if their Cache-Control
+ * header allows caching for some time. Cached replies are served without making a request as long
+ * as they are fresh according to their Cache-Control max-age. After that, they are revalidated
+ * using an If-None-Match or If-Modified-Since header, so the Speakap API can reply with 304 Not
+ * Modified instead of sending the full reply again.
+ */
+
+var crypto = require("crypto");
+var _ = require("lodash");
+
+var DEFAULT_CACHE_TTL = 60 * 60 * 1000; // ms
+
+/**
+ * Parses a Cache-Control header into an object with lowercase directive names as keys.
+ */
+function parseCacheControl(header) {
+
+    var directives = {};
+    _.each((header || "").split(","), function(directive) {
+        var parts = directive.trim().split("=");
+        if (parts[0]) {
+            directives[parts[0].toLowerCase()] = (parts.length > 1 ?
+                                                  parts[1].replace(/^"|"$/g, "") : true);
+        }
+    });
+    return directives;
+}
+
+/**
+ * @param options Options object. May contain the following properties:
+ *                store - Store in which cached replies are kept, implementing the same get() and
+ *                        set() methods as Speakap.MemoryStore. Required.
+ *                ttl - Time in milliseconds replies are kept for revalidation. By default, this is
+ *                      one hour.
+ */
+function ResponseCache(options) {
+
+    this.store = options.store;
+    this.ttl = options.ttl || DEFAULT_CACHE_TTL;
+}
+
+_.extend(ResponseCache.prototype, {
+
+    /**
+     * Returns the key under which the reply to a request is cached. Replies are cached per access
+     * token and Accept header, as these may influence the reply. The access token is hashed, so it
+     * doesn't end up in the store.
+     */
+    key: function(path, headers) {
+
+        var hash = crypto.createHash("sha256").update((headers.Authorization || "") + "\n" +
+                                                      (headers.Accept || "")).digest("hex");
+        return "speakap:response:" + hash + ":" + path;
+    },
+
+    /**
+     * Looks up a cached reply. The callback receives an error (if any) and the cache entry, which
+     * is undefined if there is none.
+     */
+    lookup: function(key, callback) {
+
+        this.store.get(key, callback);
+    },
+
+    /**
+     * Returns whether a cache entry may be served without revalidating it.
+     */
+    isFresh: function(entry) {
+
+        return entry.expiresAt > Date.now();
+    },
+
+    /**
+     * Returns the headers for revalidating a cache entry.
+     */
+    conditionalHeaders: function(entry) {
+
+        var headers = {};
+        if (entry.etag) {
+            headers["If-None-Match"] = entry.etag;
+        }
+        if (entry.lastModified) {
+            headers["If-Modified-Since"] = entry.lastModified;
+        }
+        return headers;
+    },
+
+    /**
+     * Returns a copy of the result of a cache entry, so callers cannot modify the cached result.
+     */
+    result: function(entry) {
+
+        return _.cloneDeep(entry.result);
+    },
+
+    /**
+     * Stores the result of a successful or revalidated request.
+     *
+     * @param key Key of the request.
+     * @param entry The existing cache entry in case of a 304 reply, undefined otherwise.
+     * @param res The response object.
+     * @param result The parsed result, which is ignored in case of a 304 reply.
+     * @param callback Callback that receives an error, if any.
+     */
+    update: function(key, entry, res, result, callback) {
+
+        var cacheControl = parseCacheControl(res.headers["cache-control"]);
+        if (cacheControl["no-store"]) {
+            callback(null);
+            return;
+        }
+
+        var maxAge = parseInt(cacheControl["max-age"], 10) || 0;
+        var newEntry = {
+            etag: res.headers.etag || (entry && entry.etag),
+            lastModified: res.headers["last-modified"] || (entry && entry.lastModified),
+            expiresAt: (cacheControl["no-cache"] ? 0 : Date.now() + maxAge * 1000),
+            result: (res.statusCode === 304 ? entry.result : _.cloneDeep(result))
+        };
+
+        if (!newEntry.etag && !newEntry.lastModified && !maxAge) {
+            callback(null);
+            return;
+        }
+
+        this.store.set(key, newEntry, Math.max(this.ttl, maxAge * 1000), callback);
+    }
+
+});
+
+module.exports = ResponseCache;
@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Helpers for methods that accept an optional Node-style callback and return a Promise otherwise.
+ */
+
+/**
+ * Calls the callback with the outcome of the promise if a callback is given. Otherwise, the
+ * promise is returned.
+ *
+ * The callback is called outside of the promise chain, so an exception thrown by the callback
+ * propagates as an uncaught exception instead of becoming an unhandled rejection.
+ */
+function withCallback(promise, callback) {
+
+    if (!callback) {
+        return promise;
+    }
+
+    promise.then(function(result) {
+        process.nextTick(callback, null, result);
+    }, function(error) {
+        process.nextTick(callback, error);
+    });
+}
+
+module.exports = {
+    withCallback: withCallback
+};
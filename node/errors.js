@@ -0,0 +1,263 @@
+"use strict";
+
+/**
+ * Error classes of the Speakap SDK.
+ *
+ * These are available through the Speakap object as well, e.g. Speakap.NotFoundError, and are kept
+ * in a module of their own so the other modules of the SDK can use them without requiring
+ * speakap.js.
+ */
+
+var util = require("util");
+var _ = require("lodash");
+
+/**
+ * Base class for all errors thrown while validating a signed request.
+ */
+function SignedRequestError(message) {
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = "SignedRequestError";
+    this.message = message;
+}
+
+util.inherits(SignedRequestError, Error);
+
+/**
+ * Thrown when the signature of a signed request doesn't match the computed signature.
+ */
+function InvalidSignatureError(message) {
+
+    SignedRequestError.call(this, message);
+
+    this.name = "InvalidSignatureError";
+}
+
+util.inherits(InvalidSignatureError, SignedRequestError);
+
+/**
+ * Thrown when a signed request was issued outside of the signature window.
+ */
+function ExpiredSignatureError(message) {
+
+    SignedRequestError.call(this, message);
+
+    this.name = "ExpiredSignatureError";
+}
+
+util.inherits(ExpiredSignatureError, SignedRequestError);
+
+/**
+ * Thrown when a signed request lacks required parameters or contains unparseable values.
+ */
+function MalformedSignedRequestError(message) {
+
+    SignedRequestError.call(this, message);
+
+    this.name = "MalformedSignedRequestError";
+}
+
+util.inherits(MalformedSignedRequestError, SignedRequestError);
+
+/**
+ * Thrown when a signed request with a valid signature is used more than once.
+ */
+function ReplayedSignatureError(message) {
+
+    SignedRequestError.call(this, message);
+
+    this.name = "ReplayedSignatureError";
+}
+
+util.inherits(ReplayedSignatureError, SignedRequestError);
+
+/**
+ * Base class for all errors returned by the Speakap API wrapper.
+ *
+ * Every error has the following properties:
+ *   code - Speakap error code. Negative codes indicate errors that occurred on the client side:
+ *          -1000 - Request Failed (network error)
+ *          -1001 - Unexpected Reply (the reply could not be parsed)
+ *          -1002 - Connect Timeout
+ *          -1003 - Response Timeout
+ *          -1004 - Request Aborted
+ *          -1005 - Unmatched Request (no recorded reply, see Recorder in speakap/testing)
+ *   message - Error message, as returned by the Speakap API if available.
+ *   status - HTTP status code of the reply, or undefined if no reply was received.
+ *   method - HTTP method of the request.
+ *   path - Path of the request.
+ *   headers - Headers of the reply, or undefined if no reply was received.
+ *   attempts - Number of attempts made before the request failed.
+ */
+function SpeakapApiError(message, properties) {
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = "SpeakapApiError";
+    this.message = message;
+
+    _.extend(this, properties);
+}
+
+util.inherits(SpeakapApiError, Error);
+
+/**
+ * Returned when no reply was received, because the connection failed or timed out. The code is
+ * -1000, -1002 or -1003, and the underlying error (if any) is available as requestError.
+ */
+function NetworkError(message, properties) {
+
+    SpeakapApiError.call(this, message, properties);
+
+    this.name = "NetworkError";
+}
+
+util.inherits(NetworkError, SpeakapApiError);
+
+/**
+ * Returned when a request is cancelled through its AbortSignal. The code is -1004.
+ */
+function RequestAbortedError(message, properties) {
+
+    SpeakapApiError.call(this, message, properties);
+
+    this.name = "RequestAbortedError";
+}
+
+util.inherits(RequestAbortedError, SpeakapApiError);
+
+/**
+ * Returned when a successful reply could not be parsed. The code is -1001, and the reply body is
+ * available as description.
+ */
+function UnexpectedReplyError(message, properties) {
+
+    SpeakapApiError.call(this, message, properties);
+
+    this.name = "UnexpectedReplyError";
+}
+
+util.inherits(UnexpectedReplyError, SpeakapApiError);
+
+/**
+ * Returned when the Speakap API replies with an HTTP error status. The code and message are taken
+ * from the reply. If the reply could not be parsed, the code is -1001 and the reply body is
+ * available as description.
+ *
+ * Subclasses exist for the most common statuses, so you can check for these using instanceof.
+ */
+function HttpError(message, properties) {
+
+    SpeakapApiError.call(this, message, properties);
+
+    this.name = "HttpError";
+}
+
+util.inherits(HttpError, SpeakapApiError);
+
+/**
+ * Returned for HTTP status 401, which indicates your App ID and secret are not accepted.
+ */
+function UnauthorizedError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "UnauthorizedError";
+}
+
+util.inherits(UnauthorizedError, HttpError);
+
+/**
+ * Returned for HTTP status 403.
+ */
+function ForbiddenError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "ForbiddenError";
+}
+
+util.inherits(ForbiddenError, HttpError);
+
+/**
+ * Returned for HTTP status 404.
+ */
+function NotFoundError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "NotFoundError";
+}
+
+util.inherits(NotFoundError, HttpError);
+
+/**
+ * Returned for HTTP status 409.
+ */
+function ConflictError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "ConflictError";
+}
+
+util.inherits(ConflictError, HttpError);
+
+/**
+ * Returned for HTTP status 422, which indicates the submitted data didn't pass validation.
+ */
+function UnprocessableEntityError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "UnprocessableEntityError";
+}
+
+util.inherits(UnprocessableEntityError, HttpError);
+
+/**
+ * Returned for HTTP status 429, which indicates you have exceeded the rate limit.
+ */
+function TooManyRequestsError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "TooManyRequestsError";
+}
+
+util.inherits(TooManyRequestsError, HttpError);
+
+/**
+ * Returned for all HTTP 5xx statuses.
+ */
+function ServerError(message, properties) {
+
+    HttpError.call(this, message, properties);
+
+    this.name = "ServerError";
+}
+
+util.inherits(ServerError, HttpError);
+
+module.exports = {
+    SignedRequestError: SignedRequestError,
+    InvalidSignatureError: InvalidSignatureError,
+    ExpiredSignatureError: ExpiredSignatureError,
+    MalformedSignedRequestError: MalformedSignedRequestError,
+    ReplayedSignatureError: ReplayedSignatureError,
+    SpeakapApiError: SpeakapApiError,
+    NetworkError: NetworkError,
+    RequestAbortedError: RequestAbortedError,
+    UnexpectedReplyError: UnexpectedReplyError,
+    HttpError: HttpError,
+    UnauthorizedError: UnauthorizedError,
+    ForbiddenError: ForbiddenError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    UnprocessableEntityError: UnprocessableEntityError,
+    TooManyRequestsError: TooManyRequestsError,
+    ServerError: ServerError
+};
@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * Localization of the texts your App sends to Speakap, such as alerts and messages.
+ *
+ * Texts are kept in message catalogs, one per locale, which map keys to texts. Keys may be nested,
+ * in which case they are referred to using dots, e.g. "schedule.deleted" for:
+ *
+ *   {
+ *       "schedule": {
+ *           "deleted": "You are no longer scheduled to work in week {week}."
+ *       }
+ *   }
+ *
+ * Texts may contain variables in braces, which are replaced by the parameters given when the text
+ * is translated. Texts that depend on a number may be given as an object mapping the plural
+ * categories of the locale (zero, one, two, few, many and other) to texts. The category is
+ * selected using the count parameter, according to the plural rules of the locale:
+ *
+ *   "shifts": {
+ *       "one": "You have {count} open shift.",
+ *       "other": "You have {count} open shifts."
+ *   }
+ *
+ * If a locale doesn't contain a text, the text of the default locale is used instead.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+
+var DEFAULT_LOCALE = "en-US";
+
+/**
+ * Normalizes a locale such as "nl_nl" into the form used by Speakap, e.g. "nl-NL".
+ */
+function normalizeLocale(locale) {
+
+    var parts = String(locale).split(/[-_]/);
+    return parts[0].toLowerCase() + (parts[1] ? "-" + parts[1].toUpperCase() : "");
+}
+
+/**
+ * Returns the plural category of a number for a locale.
+ */
+function pluralCategory(locale, count) {
+
+    if (typeof Intl !== "undefined" && Intl.PluralRules) {
+        return new Intl.PluralRules(locale).select(count);
+    } else {
+        return (count === 1 ? "one" : "other");
+    }
+}
+
+/**
+ * Replaces the variables in a text by the given parameters. Variables without a corresponding
+ * parameter are left as is.
+ */
+function interpolate(text, params) {
+
+    return text.replace(/\{([A-Za-z0-9_]+)\}/g, function(match, name) {
+        return (_.has(params, name) ? String(params[name]) : match);
+    });
+}
+
+/**
+ * Reads all message catalogs from a directory, which should contain a JSON file per locale, named
+ * after the locale, e.g. "en-US.json".
+ */
+function readCatalogs(directory) {
+
+    var catalogs = {};
+    _.each(fs.readdirSync(directory), function(filename) {
+        if (path.extname(filename) === ".json") {
+            catalogs[path.basename(filename, ".json")] =
+                JSON.parse(fs.readFileSync(path.join(directory, filename), "utf8"));
+        }
+    });
+    return catalogs;
+}
+
+/**
+ * @param options Options object. May contain the following properties:
+ *                catalogs - Object containing the message catalog for every locale, keyed by
+ *                           locale.
+ *                directory - Directory to read the message catalogs from, instead of passing
+ *                            them as catalogs. The directory should contain a JSON file per
+ *                            locale, e.g. "de-DE.json", "en-US.json" and "nl-NL.json". The files
+ *                            are read immediately.
+ *                defaultLocale - Locale whose texts are used when other locales lack a text. By
+ *                                default, this is "en-US".
+ *
+ * For convenience, the localizableBody() method is also available as t(), which is bound to the
+ * instance so it can be passed around on its own.
+ *
+ * Example:
+ *
+ *   var localization = new Speakap.Localization({ directory: __dirname + "/locales" });
+ *   var t = localization.t;
+ *
+ *   speakapApi.network(networkEid).alerts.send({
+ *       recipients: [{ type: "user", EID: userEid }],
+ *       localizableBody: t("schedule.deleted", { week: week })
+ *   });
+ */
+function Localization(options) {
+
+    if (!options || !(options.catalogs || options.directory)) {
+        throw new Error("Localization requires catalogs or a directory");
+    }
+
+    var catalogs = options.catalogs || readCatalogs(options.directory);
+
+    this.catalogs = _.mapKeys(catalogs, function(catalog, locale) {
+        return normalizeLocale(locale);
+    });
+    this.defaultLocale = normalizeLocale(options.defaultLocale || DEFAULT_LOCALE);
+
+    if (!this.catalogs[this.defaultLocale]) {
+        throw new Error("Missing catalog for default locale " + this.defaultLocale);
+    }
+
+    this.t = _.bind(this.localizableBody, this);
+}
+
+_.extend(Localization.prototype, {
+
+    /**
+     * Returns the locales for which a catalog is available.
+     */
+    locales: function() {
+
+        return _.keys(this.catalogs).sort();
+    },
+
+    /**
+     * Translates a text into all available locales.
+     *
+     * @param key Key of the text, e.g. "schedule.deleted".
+     * @param params Optional object containing the parameters for the variables in the text, and
+     *               the count used for selecting the plural form.
+     *
+     * @return Object mapping every locale to the translated text, for use as the localizableBody
+     *         of alerts and messages.
+     *
+     * Throws an Error if the default locale doesn't contain the text.
+     */
+    localizableBody: function(key, params) {
+
+        var self = this;
+        return _.fromPairs(_.map(this.locales(), function(locale) {
+            return [locale, self.translate(locale, key, params)];
+        }));
+    },
+
+    /**
+     * Translates a text into a single locale.
+     *
+     * @param locale Locale to translate into, such as the locale of the signed request. If there
+     *               is no catalog for the locale, the catalog of another locale of the same
+     *               language is used, if any, and the default locale otherwise.
+     * @param key Key of the text, e.g. "schedule.deleted".
+     * @param params Optional object containing the parameters for the variables in the text, and
+     *               the count used for selecting the plural form.
+     *
+     * @return The translated text.
+     *
+     * Throws an Error if the default locale doesn't contain the text either.
+     */
+    translate: function(locale, key, params) {
+
+        locale = this._resolveLocale(locale);
+
+        var text = _.get(this.catalogs[locale], key);
+        if (_.isUndefined(text)) {
+            locale = this.defaultLocale;
+            text = _.get(this.catalogs[locale], key);
+        }
+
+        if (_.isPlainObject(text)) {
+            var count = (params && _.isNumber(params.count) ? params.count : 0);
+            text = text[pluralCategory(locale, count)] || text.other;
+        }
+
+        if (!_.isString(text)) {
+            throw new Error("Missing translation for " + key);
+        }
+
+        return interpolate(text, params);
+    },
+
+    _resolveLocale: function(locale) {
+
+        locale = (locale ? normalizeLocale(locale) : this.defaultLocale);
+        if (this.catalogs[locale]) {
+            return locale;
+        }
+
+        var language = locale.split("-")[0];
+        return _.find(this.locales(), function(candidate) {
+            return candidate.split("-")[0] === language;
+        }) || this.defaultLocale;
+    }
+
+});
+
+module.exports = Localization;
@@ -0,0 +1,307 @@
+"use strict";
+
+/**
+ * Middleware for handling Speakap App launches in Express.js/Connect and Koa applications.
+ *
+ * These are available through the Speakap object as Speakap.middleware:
+ *
+ *   var Speakap = require("speakap");
+ *   var sessionStore = new Speakap.sessions.MemorySessionStore();
+ *
+ *   // handles the signed request POSTed by Speakap when your App is opened
+ *   app.post("/", Speakap.middleware.launch({
+ *       appId: MY_APP_ID,
+ *       appSecret: MY_APP_SECRET,
+ *       store: sessionStore
+ *   }), function(req, res) {
+ *       // render your App, including req.session.id so the client can send it along
+ *   });
+ *
+ *   // validates the Session-Token header sent along with XHR requests
+ *   app.use("/api", Speakap.middleware.requireSession({ store: sessionStore }));
+ *
+ * For Koa, use Speakap.middleware.koa.launch() and Speakap.middleware.koa.requireSession(), which
+ * accept the same options. They attach the session to ctx.state.session instead of req.session.
+ *
+ * We use a Session-Token header instead of cookies to avoid problems with browsers blocking
+ * third-party cookies. Because Speakap Applications run inside an iframe hosted by Speakap, any
+ * cookies set are treated as third-party cookies.
+ */
+
+var util = require("util");
+var _ = require("lodash");
+
+var errors = require("./errors");
+var sessions = require("./sessions");
+var SignedRequest = require("./signedrequest").SignedRequest;
+
+var DEFAULT_SESSION_HEADER = "Session-Token";
+
+var MAX_BODY_SIZE = 1024 * 1024; // bytes
+
+/**
+ * Thrown when a request doesn't carry a valid session token.
+ */
+function InvalidSessionError(message) {
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = "InvalidSessionError";
+    this.message = message;
+    this.status = 401;
+}
+
+util.inherits(InvalidSessionError, Error);
+
+/**
+ * Reads the signed request from an incoming request. If a body parser has already populated the
+ * body, that is used. Otherwise, the raw body is read and parsed as a query string.
+ *
+ * Errors get a status property, so Express.js and Koa reply with a client error rather than 500:
+ * 413 if the body is too large, and 400 if reading the body failed.
+ */
+function readSignedRequest(req, body, callback) {
+
+    if ((_.isObject(body) && !_.isEmpty(body)) || (_.isString(body) && body) || !req.readable) {
+        callback(null, body || {});
+        return;
+    }
+
+    var rawBody = "";
+    var done = false;
+    function finish(error) {
+        if (!done) {
+            done = true;
+            callback(error, rawBody);
+        }
+    }
+
+    req.setEncoding("utf8");
+    req.on("data", function(chunk) {
+        if (done) {
+            return;
+        }
+
+        rawBody += chunk;
+        if (rawBody.length > MAX_BODY_SIZE) {
+            var error = new errors.MalformedSignedRequestError("Signed request is too large");
+            error.status = 413;
+            finish(error);
+        }
+    });
+    req.on("end", function() { finish(null); });
+    req.on("error", function(error) {
+        error.status = error.status || 400;
+        finish(error);
+    });
+}
+
+/**
+ * Returns the session store to use given the options of the middleware. Plain key-value stores are
+ * wrapped in a StoreSessionStore.
+ */
+function getSessionStore(options) {
+
+    if (!options.store) {
+        throw new Error("Speakap middleware requires a session store");
+    }
+
+    if (sessions.isSessionStore(options.store)) {
+        return options.store;
+    } else {
+        return new sessions.StoreSessionStore(options.store, { ttl: options.ttl });
+    }
+}
+
+/**
+ * Returns a function that validates the signed request of an incoming request and creates a
+ * session for it. See launch() for the supported options.
+ */
+function createLaunchHandler(options) {
+
+    var signedRequest = new SignedRequest(options);
+    var sessionStore = getSessionStore(options);
+
+    return function(req, body, callback) {
+
+        readSignedRequest(req, body, function(error, input) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            signedRequest.parse(input, function(error, context) {
+                if (error) {
+                    if (error instanceof errors.SignedRequestError) {
+                        error.status = 401;
+                    }
+                    callback(error);
+                    return;
+                }
+
+                sessionStore.createSession(context, callback);
+            });
+        });
+    };
+}
+
+/**
+ * Returns a function that looks up the session for a session token. See requireSession() for the
+ * supported options.
+ */
+function createSessionHandler(options) {
+
+    var sessionStore = getSessionStore(options);
+
+    return function(token, callback) {
+
+        if (!token) {
+            callback(new InvalidSessionError("Missing session token"));
+            return;
+        }
+
+        sessionStore.getSession(token, function(error, session) {
+            if (error) {
+                callback(error);
+            } else if (session) {
+                callback(null, session);
+            } else {
+                callback(new InvalidSessionError("Invalid session token"));
+            }
+        });
+    };
+}
+
+/**
+ * Returns Express.js/Connect middleware that handles the signed request POSTed by Speakap when
+ * your App is opened.
+ *
+ * The middleware validates the signed request, creates a new session from it and attaches the
+ * session to req.session. The session contains an id property holding the session token, as well
+ * as all properties of the context object returned by Speakap.parseSignedRequest().
+ *
+ * If the signed request is invalid, the error thrown by the validation is passed to next() with a
+ * status property of 401. If the request body is larger than 1 MB, a MalformedSignedRequestError
+ * with a status property of 413 is passed instead, and if reading the body fails, the error is
+ * passed with a status property of 400.
+ *
+ * @param options Options object. Accepts all properties of the config object of the
+ *                Speakap.SignedRequest class, so at least appSecret should be given. In addition,
+ *                the following properties are supported:
+ *                store - Session store, such as a Speakap.sessions.MemorySessionStore or
+ *                        Speakap.sessions.StatelessSessionStore. You may also pass a key-value
+ *                        store implementing the same interface as Speakap.MemoryStore, which is
+ *                        then used through a Speakap.sessions.StoreSessionStore. Required.
+ *                ttl - Time in milliseconds sessions are kept if store is a key-value store. By
+ *                      default, this is one week.
+ *
+ * The signed request is taken from req.body if a body parser has already handled the request.
+ * Otherwise, the middleware reads the request body itself.
+ */
+function launch(options) {
+
+    var handleLaunch = createLaunchHandler(options);
+
+    return function(req, res, next) {
+
+        handleLaunch(req, req.body, function(error, session) {
+            if (error) {
+                next(error);
+            } else {
+                req.session = session;
+                next();
+            }
+        });
+    };
+}
+
+/**
+ * Returns Express.js/Connect middleware that validates the Session-Token header of XHR requests.
+ *
+ * The middleware looks up the session for the token and attaches it to req.session. If the token
+ * is missing or unknown, an InvalidSessionError with a status property of 401 is passed to
+ * next().
+ *
+ * @param options Options object. May contain the following properties:
+ *                store - Session store or key-value store. This should be the same store as
+ *                        given to launch(). Required.
+ *                header - Name of the header containing the session token. By default, this is
+ *                         "Session-Token".
+ */
+function requireSession(options) {
+
+    var handleSession = createSessionHandler(options);
+    var header = (options.header || DEFAULT_SESSION_HEADER).toLowerCase();
+
+    return function(req, res, next) {
+
+        handleSession(req.headers[header], function(error, session) {
+            if (error) {
+                next(error);
+            } else {
+                req.session = session;
+                next();
+            }
+        });
+    };
+}
+
+/**
+ * Koa variants of the middleware. These accept the same options as their Express.js counterparts,
+ * but attach the session to ctx.state.session. Errors are thrown, so they can be handled by Koa's
+ * error handling.
+ */
+var koa = {
+
+    launch: function(options) {
+
+        var handleLaunch = createLaunchHandler(options);
+
+        return function(ctx, next) {
+
+            return new Promise(function(resolve, reject) {
+                handleLaunch(ctx.req, ctx.request.body, function(error, session) {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        ctx.state.session = session;
+                        resolve();
+                    }
+                });
+            }).then(function() {
+                return next();
+            });
+        };
+    },
+
+    requireSession: function(options) {
+
+        var handleSession = createSessionHandler(options);
+        var header = options.header || DEFAULT_SESSION_HEADER;
+
+        return function(ctx, next) {
+
+            return new Promise(function(resolve, reject) {
+                handleSession(ctx.get(header), function(error, session) {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        ctx.state.session = session;
+                        resolve();
+                    }
+                });
+            }).then(function() {
+                return next();
+            });
+        };
+    }
+
+};
+
+module.exports = {
+    InvalidSessionError: InvalidSessionError,
+    launch: launch,
+    requireSession: requireSession,
+    koa: koa
+};
@@ -0,0 +1,260 @@
+"use strict";
+
+/**
+ * Support for multipart/form-data request bodies, used by API.upload() for uploading files.
+ *
+ * Bodies are streamed part by part, so files are never loaded into memory as a whole. If the size
+ * of every part is known in advance, the body is sent with a Content-length header, otherwise it
+ * is sent using chunked transfer encoding.
+ */
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var stream = require("stream");
+var _ = require("lodash");
+
+var CRLF = "\r\n";
+
+var DEFAULT_CONTENT_TYPE = "application/octet-stream";
+
+/**
+ * Content types guessed from the extension of a filename, if no content type is given.
+ */
+var CONTENT_TYPES = {
+    ".csv": "text/csv",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".gif": "image/gif",
+    ".jpeg": "image/jpeg",
+    ".jpg": "image/jpeg",
+    ".json": "application/json",
+    ".mov": "video/quicktime",
+    ".mp3": "audio/mpeg",
+    ".mp4": "video/mp4",
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".svg": "image/svg+xml",
+    ".txt": "text/plain",
+    ".webp": "image/webp",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".zip": "application/zip"
+};
+
+/**
+ * Escapes a name or filename for use in a quoted string of a Content-Disposition header.
+ */
+function escapeQuoted(value) {
+
+    return String(value).replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+}
+
+function isReadableStream(value) {
+
+    return _.isObject(value) && _.isFunction(value.pipe) && _.isFunction(value.on);
+}
+
+/**
+ * Normalizes a file given as Buffer, readable stream, file path or object describing the file into
+ * an object with either a buffer, stream or path property, as well as a filename and contentType.
+ */
+function normalizeFile(name, file) {
+
+    if (Buffer.isBuffer(file)) {
+        file = { buffer: file };
+    } else if (isReadableStream(file)) {
+        file = { stream: file };
+    } else if (_.isString(file)) {
+        file = { path: file };
+    } else if (!_.isObject(file) || !(file.buffer || file.stream || file.path)) {
+        throw new Error("Invalid file for field " + name);
+    }
+
+    var filename = file.filename;
+    if (!filename) {
+        var filePath = file.path || (file.stream && file.stream.path);
+        filename = (_.isString(filePath) ? path.basename(filePath) : name);
+    }
+
+    return {
+        buffer: file.buffer,
+        contentType: (file.contentType ||
+                      CONTENT_TYPES[path.extname(filename).toLowerCase()] ||
+                      DEFAULT_CONTENT_TYPE),
+        filename: filename,
+        path: file.path,
+        size: (file.buffer ? file.buffer.length : file.size),
+        stream: file.stream
+    };
+}
+
+/**
+ * Multipart body consisting of a sequence of parts. Use createBody() to create one.
+ *
+ * @param items Array of Buffers and normalized files, in the order in which they are sent.
+ */
+function MultipartBody(boundary, items) {
+
+    this.boundary = boundary;
+    this.contentType = "multipart/form-data; boundary=" + boundary;
+    this.items = items;
+
+    /**
+     * Total length of the body in bytes, or undefined if it contains streams of unknown size.
+     */
+    this.length = _.reduce(items, function(length, item) {
+        return length + (Buffer.isBuffer(item) ? item.length : item.size);
+    }, 0);
+    if (_.isNaN(this.length)) {
+        this.length = undefined;
+    }
+
+    /**
+     * Whether the body can be sent more than once. This is not the case if it contains streams.
+     */
+    this.replayable = !_.some(items, "stream");
+}
+
+_.extend(MultipartBody.prototype, {
+
+    /**
+     * Returns a readable stream of the body.
+     *
+     * @param onProgress Optional function that is called whenever a chunk of the body has been
+     *                   read. It receives an object with the number of bytes loaded so far and the
+     *                   total number of bytes, which is undefined if the length is unknown.
+     */
+    stream: function(onProgress) {
+
+        var total = this.length;
+        var loaded = 0;
+        var output = new stream.Transform({
+            transform: function(chunk, encoding, callback) {
+                loaded += chunk.length;
+                if (onProgress) {
+                    onProgress({ loaded: loaded, total: total });
+                }
+                callback(null, chunk);
+            }
+        });
+
+        var items = this.items;
+        var input;
+        function next(index) {
+            if (index === items.length) {
+                output.end();
+                return;
+            }
+
+            var item = items[index];
+            if (Buffer.isBuffer(item)) {
+                output.write(item);
+                next(index + 1);
+            } else if (item.buffer) {
+                output.write(item.buffer);
+                next(index + 1);
+            } else {
+                input = (item.stream || fs.createReadStream(item.path));
+                input.on("error", function(error) {
+                    output.destroy(error);
+                });
+                input.on("end", function() {
+                    input = null;
+                    next(index + 1);
+                });
+                input.pipe(output, { end: false });
+            }
+        }
+
+        output.on("close", function() {
+            if (input) {
+                input.destroy();
+            }
+        });
+
+        next(0);
+        return output;
+    }
+
+});
+
+/**
+ * Creates a multipart body.
+ *
+ * @param fields Optional object containing the names and values of regular form fields. Array
+ *               values are sent as multiple fields with the same name.
+ * @param files Optional object containing the names of the file fields and the files to upload.
+ *              See API.upload() for the supported types of files.
+ * @param callback Callback that receives an error (if any) and the MultipartBody. The size of files
+ *                 given by path is determined before creating the body, so the callback receives
+ *                 an error if any of these files cannot be accessed.
+ */
+function createBody(fields, files, callback) {
+
+    var boundary = "----SpeakapFormBoundary" + crypto.randomBytes(12).toString("hex");
+
+    var normalizedFiles;
+    try {
+        normalizedFiles = _.map(files, function(file, name) {
+            return { name: name, file: normalizeFile(name, file) };
+        });
+    } catch(exception) {
+        callback(exception);
+        return;
+    }
+
+    var items = [];
+    _.each(fields, function(value, name) {
+        _.each(_.isArray(value) ? value : [value], function(value) {
+            items.push(Buffer.from("--" + boundary + CRLF +
+                                   "Content-Disposition: form-data; name=\"" + escapeQuoted(name) +
+                                   "\"" + CRLF + CRLF + value + CRLF));
+        });
+    });
+
+    var pending = normalizedFiles.length + 1;
+    var failed = false;
+    function done(error) {
+        if (failed) {
+            return;
+        } else if (error) {
+            failed = true;
+            callback(error);
+        } else if (--pending === 0) {
+            _.each(normalizedFiles, function(entry) {
+                items.push(Buffer.from("--" + boundary + CRLF +
+                                       "Content-Disposition: form-data; name=\"" +
+                                       escapeQuoted(entry.name) + "\"; filename=\"" +
+                                       escapeQuoted(entry.file.filename) + "\"" + CRLF +
+                                       "Content-Type: " + entry.file.contentType + CRLF + CRLF));
+                items.push(entry.file);
+                items.push(Buffer.from(CRLF));
+            });
+            items.push(Buffer.from("--" + boundary + "--" + CRLF));
+
+            callback(null, new MultipartBody(boundary, items));
+        }
+    }
+
+    _.each(normalizedFiles, function(entry) {
+        if (entry.file.path && !_.isNumber(entry.file.size)) {
+            fs.stat(entry.file.path, function(error, stats) {
+                if (!error) {
+                    entry.file.size = stats.size;
+                }
+                done(error);
+            });
+        } else {
+            done(null);
+        }
+    });
+    done(null);
+}
+
+module.exports = {
+    createBody: createBody,
+    MultipartBody: MultipartBody
+};
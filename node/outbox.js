@@ -0,0 +1,621 @@
+"use strict";
+
+/**
+ * Durable outbox for alerts and messages sent to Speakap.
+ *
+ * Instead of sending notifications right away, you enqueue them in the outbox together with an
+ * idempotency key, such as the ID of the schedule change a notification is about. The outbox
+ * persists every notification in a store before delivering it using the API client, retries
+ * deliveries that fail because the Speakap API can't be reached, is rate limiting or is
+ * unavailable, and ignores notifications whose key has been enqueued before. This way, a crash or
+ * an unavailable Speakap API doesn't lose notifications, and enqueueing the same notification
+ * twice doesn't send it twice.
+ *
+ * These are available through the Speakap object as Speakap.outbox:
+ *
+ *   var outbox = new Speakap.outbox.Outbox({
+ *       api: speakapApi,
+ *       store: new Speakap.outbox.FileOutboxStore({ path: "/var/lib/my-app/outbox.json" })
+ *   });
+ *   outbox.start();
+ *
+ *   outbox.enqueue({
+ *       key: "schedule-" + scheduleId + "-deleted-" + userEid,
+ *       type: "alert",
+ *       networkEid: networkEid,
+ *       data: {
+ *           recipients: [{ type: "user", EID: userEid }],
+ *           localizableBody: t("schedule.deleted", { week: week })
+ *       }
+ *   }, function(error, notification) {
+ *       // the notification is persisted, and will be delivered in the background
+ *   });
+ *
+ * Every outbox store implements the following interface, calling back with an error (if any) as
+ * first argument:
+ *
+ *   add(notification, callback) - Stores a notification, unless a notification with the same key
+ *                                 is stored already. The callback receives the existing
+ *                                 notification in that case, and undefined otherwise.
+ *   get(key, callback) - Looks up a notification. The callback receives the notification, which is
+ *                        undefined if there is none.
+ *   list(callback) - The callback receives an array of all notifications.
+ *   remove(key, callback) - Removes a notification.
+ *   update(notification, callback) - Replaces a stored notification.
+ *
+ * Two outbox stores are provided:
+ *
+ *   MemoryOutboxStore - Keeps notifications in memory. Notifications are lost when the process
+ *                       exits, but are still deduplicated and retried.
+ *   FileOutboxStore - Keeps notifications in a JSON file, which is rewritten atomically whenever
+ *                     a notification changes. Only a single process should use the file.
+ *
+ * Note that the outbox can only guarantee a notification is sent exactly once if the process
+ * doesn't stop while the notification is being delivered. Because the Speakap API doesn't tell
+ * whether such an interrupted delivery succeeded, it is retried by default when the outbox is
+ * started again, which may send the notification twice. Use { retryInterrupted: false } to mark
+ * such notifications as failed instead.
+ *
+ * The same goes for deliveries that fail after the request may have reached the Speakap API,
+ * because the connection dropped, no reply arrived in time or the API replied with a server error
+ * other than 503. These are marked as failed by default, so they are never sent twice. Use
+ * { retryAmbiguous: true } to retry them instead, at the risk of sending them twice.
+ */
+
+var fs = require("fs");
+var util = require("util");
+var _ = require("lodash");
+
+var errors = require("./errors");
+var withCallback = require("./callbacks").withCallback;
+
+var DEFAULT_MAX_ATTEMPTS = 10;
+var DEFAULT_MIN_DELAY = 1000; // ms
+var DEFAULT_MAX_DELAY = 5 * 60 * 1000; // ms
+var DEFAULT_POLL_INTERVAL = 1000; // ms
+var DEFAULT_CONCURRENCY = 5;
+var DEFAULT_RETENTION = 7 * 24 * 60 * 60 * 1000; // ms
+
+var TYPES = ["alert", "message"];
+
+// codes of request errors that occur before the request is sent
+var UNSENT_REQUEST_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * Returns a Promise for the result of calling a store method that takes a callback.
+ */
+function callStore(store, method) {
+
+    var args = _.toArray(arguments).slice(2);
+    return new Promise(function(resolve, reject) {
+        store[method].apply(store, args.concat(function(error, result) {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        }));
+    });
+}
+
+/**
+ * Returns whether delivery of a notification may succeed when retried after failing with the
+ * given error.
+ */
+function isTransientError(error) {
+
+    return (error instanceof errors.NetworkError || error instanceof errors.ServerError ||
+            error instanceof errors.TooManyRequestsError);
+}
+
+/**
+ * Returns whether the Speakap API may have processed a request that failed with the given error.
+ */
+function isAmbiguousError(error) {
+
+    if (error instanceof errors.NetworkError) {
+        return (error.code === -1003 || (error.code === -1000 && !(error.requestError &&
+                _.includes(UNSENT_REQUEST_ERROR_CODES, error.requestError.code))));
+    }
+
+    return (error instanceof errors.ServerError && error.status !== 503);
+}
+
+/**
+ * Outbox store that keeps notifications in memory.
+ */
+function MemoryOutboxStore() {
+
+    this.notifications = new Map();
+}
+
+_.extend(MemoryOutboxStore.prototype, {
+
+    add: function(notification, callback) {
+
+        var existing = this.notifications.get(notification.key);
+        if (existing) {
+            callback(null, _.cloneDeep(existing));
+            return;
+        }
+
+        var self = this;
+        this.notifications.set(notification.key, _.cloneDeep(notification));
+        this._persist(function(error) {
+            if (error) {
+                // the notification wasn't added, so it shouldn't suppress a later attempt either
+                self.notifications["delete"](notification.key);
+            }
+            callback(error);
+        });
+    },
+
+    get: function(key, callback) {
+
+        callback(null, _.cloneDeep(this.notifications.get(key)));
+    },
+
+    list: function(callback) {
+
+        callback(null, _.cloneDeep(Array.from(this.notifications.values())));
+    },
+
+    remove: function(key, callback) {
+
+        this.notifications["delete"](key);
+        this._persist(callback);
+    },
+
+    update: function(notification, callback) {
+
+        this.notifications.set(notification.key, _.cloneDeep(notification));
+        this._persist(callback);
+    },
+
+    _persist: function(callback) {
+
+        callback(null);
+    }
+
+});
+
+/**
+ * Outbox store that keeps notifications in a JSON file.
+ *
+ * @param options Options object. May contain the following properties:
+ *                path - Path of the file. Required. The file is read immediately if it exists,
+ *                       and created when the first notification is added otherwise.
+ */
+function FileOutboxStore(options) {
+
+    if (!options || !options.path) {
+        throw new Error("File outbox store requires a path");
+    }
+
+    MemoryOutboxStore.call(this);
+
+    this.path = options.path;
+    this.writing = false;
+    this.pendingCallbacks = [];
+
+    if (fs.existsSync(this.path)) {
+        var self = this;
+        _.each(JSON.parse(fs.readFileSync(this.path, "utf8")), function(notification) {
+            self.notifications.set(notification.key, notification);
+        });
+    }
+}
+
+util.inherits(FileOutboxStore, MemoryOutboxStore);
+
+FileOutboxStore.prototype._persist = function(callback) {
+
+    this.pendingCallbacks.push(callback);
+    if (!this.writing) {
+        this._write();
+    }
+};
+
+/**
+ * Writes all notifications to the file. The file is written to a temporary file first, which then
+ * replaces the original, so the file is never left half-written. Changes made while the file is
+ * being written are combined into a single subsequent write.
+ */
+FileOutboxStore.prototype._write = function() {
+
+    var self = this;
+    var callbacks = this.pendingCallbacks;
+    var json = JSON.stringify(Array.from(this.notifications.values()), null, 2) + "\n";
+    var temporaryPath = this.path + ".tmp";
+
+    this.writing = true;
+    this.pendingCallbacks = [];
+
+    function done(error) {
+        self.writing = false;
+        _.each(callbacks, function(callback) {
+            callback(error || null);
+        });
+        if (self.pendingCallbacks.length) {
+            self._write();
+        }
+    }
+
+    fs.writeFile(temporaryPath, json, function(error) {
+        if (error) {
+            done(error);
+        } else {
+            fs.rename(temporaryPath, self.path, done);
+        }
+    });
+};
+
+/**
+ * @param options Options object. May contain the following properties:
+ *                api - Speakap.API instance used for delivering notifications. Required.
+ *                store - Outbox store. By default, a MemoryOutboxStore is used.
+ *                maxAttempts - Maximum number of delivery attempts per notification. By default,
+ *                              this is 10.
+ *                minDelay - Delay in milliseconds before the first retry. The delay is doubled for
+ *                           every subsequent retry. By default, this is one second.
+ *                maxDelay - Maximum delay in milliseconds between attempts. By default, this is
+ *                           five minutes.
+ *                pollInterval - Interval in milliseconds at which the store is checked for
+ *                               notifications that are due once the outbox is started. By
+ *                               default, this is one second.
+ *                concurrency - Maximum number of notifications delivered at the same time. By
+ *                              default, this is 5.
+ *                retention - Time in milliseconds delivered and failed notifications are kept.
+ *                            Notifications with the same key are ignored during this time. By
+ *                            default, this is one week.
+ *                retryInterrupted - Whether to retry notifications whose delivery was
+ *                                   interrupted because the process stopped. By default, this is
+ *                                   true.
+ *                retryAmbiguous - Whether to retry notifications whose delivery failed after the
+ *                                 Speakap API may have received it. By default, this is false.
+ *                onError - Function that is called with any error that occurs while delivering
+ *                          notifications in the background, such as a failing store. The outbox
+ *                          keeps polling regardless. By default, the error is emitted as a process
+ *                          warning.
+ *
+ * Every notification is an object with the following properties:
+ *   key - Idempotency key given when the notification was enqueued.
+ *   type - Either "alert" or "message".
+ *   networkEid - EID of the network the notification is sent in.
+ *   data - Data of the alert or message.
+ *   status - Either "pending", "delivering", "delivered" or "failed".
+ *   attempts - Number of delivery attempts made so far.
+ *   createdAt - Time the notification was enqueued, in milliseconds since the epoch.
+ *   nextAttemptAt - Time of the next delivery attempt, if the notification is pending.
+ *   deliveredAt - Time the notification was delivered, if it is.
+ *   result - Reply of the Speakap API, if the notification was delivered.
+ *   lastError - Object containing the code, status and message of the error that made the last
+ *               attempt fail, if any.
+ *
+ * Notifications that fail with a network error, HTTP status 429 or a server error are retried,
+ * while notifications that fail otherwise, for instance because the data is invalid, are marked as
+ * failed right away. Unless the retryAmbiguous option is true, notifications that fail with a
+ * response timeout (code -1003), a dropped connection (code -1000) or a server error other than
+ * HTTP status 503 are marked as failed as well, since the Speakap API may have received those.
+ */
+function Outbox(options) {
+
+    if (!options || !options.api) {
+        throw new Error("Outbox requires an API instance");
+    }
+
+    this.api = options.api;
+    this.store = options.store || new MemoryOutboxStore();
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.minDelay = (_.isNumber(options.minDelay) ? options.minDelay : DEFAULT_MIN_DELAY);
+    this.maxDelay = (_.isNumber(options.maxDelay) ? options.maxDelay : DEFAULT_MAX_DELAY);
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.retention = options.retention || DEFAULT_RETENTION;
+    this.retryInterrupted = (options.retryInterrupted !== false);
+    this.retryAmbiguous = !!options.retryAmbiguous;
+    this.onError = options.onError || function(error) {
+        process.emitWarning(error);
+    };
+
+    this.running = false;
+    this.timer = null;
+    this.polling = null;
+    this.inFlight = {};
+}
+
+_.extend(Outbox.prototype, {
+
+    /**
+     * Enqueues a notification for delivery.
+     *
+     * @param notification Object containing the following properties:
+     *                     key - Idempotency key identifying the notification. Required.
+     *                     type - Either "alert" or "message". Required.
+     *                     networkEid - EID of the network to send the notification in. Required.
+     *                     data - Data of the alert or message, as accepted by alerts.send() or
+     *                            messages.create() of Speakap.API.network(). Required.
+     * @param callback Optional callback that receives an error (if any) and the stored
+     *                 notification. If a notification with the same key was enqueued before, the
+     *                 callback receives that notification instead, and nothing is enqueued.
+     *
+     * @return A Promise for the stored notification if no callback is given.
+     */
+    enqueue: function(notification, callback) {
+
+        var self = this;
+        var promise = new Promise(function(resolve) {
+            if (!notification || !_.isString(notification.key) || !notification.key) {
+                throw new Error("Notification requires a key");
+            } else if (!_.includes(TYPES, notification.type)) {
+                throw new Error("Notification type should be alert or message");
+            } else if (!notification.networkEid || !_.isObject(notification.data)) {
+                throw new Error("Notification requires a networkEid and data");
+            }
+
+            var now = Date.now();
+            var record = {
+                key: notification.key,
+                type: notification.type,
+                networkEid: notification.networkEid,
+                data: notification.data,
+                status: "pending",
+                attempts: 0,
+                createdAt: now,
+                nextAttemptAt: now
+            };
+
+            resolve(callStore(self.store, "add", record).then(function(existing) {
+                if (existing) {
+                    return existing;
+                }
+
+                if (self.running) {
+                    self._schedule(0);
+                }
+                return record;
+            }));
+        });
+
+        return withCallback(promise, callback);
+    },
+
+    /**
+     * Delivers all notifications that are due, regardless of whether the outbox is started.
+     *
+     * @param callback Optional callback that receives an error if the store failed.
+     *
+     * @return A Promise if no callback is given.
+     */
+    flush: function(callback) {
+
+        return withCallback(this._deliverDue().then(_.noop), callback);
+    },
+
+    /**
+     * Retrieves all notifications.
+     *
+     * @param status Optional status of the notifications to retrieve.
+     * @param callback Optional callback that receives an error (if any) and an array of
+     *                 notifications.
+     *
+     * @return A Promise for the notifications if no callback is given.
+     */
+    list: function(status, callback) {
+
+        if (_.isFunction(status)) {
+            callback = status;
+            status = null;
+        }
+
+        return withCallback(callStore(this.store, "list").then(function(notifications) {
+            return (status ? _.filter(notifications, { status: status }) : notifications);
+        }), callback);
+    },
+
+    /**
+     * Starts delivering notifications in the background. Notifications whose delivery was
+     * interrupted are retried or marked as failed first, depending on the retryInterrupted
+     * option.
+     *
+     * @param callback Optional callback that receives an error if the store failed while
+     *                 recovering interrupted notifications.
+     *
+     * @return A Promise if no callback is given.
+     */
+    start: function(callback) {
+
+        if (this.running) {
+            return withCallback(Promise.resolve(), callback);
+        }
+        this.running = true;
+
+        var self = this;
+        return withCallback(this._recoverInterrupted().then(function() {
+            self._schedule(0);
+        }), callback);
+    },
+
+    /**
+     * Retrieves a notification.
+     *
+     * @param key Idempotency key of the notification.
+     * @param callback Optional callback that receives an error (if any) and the notification,
+     *                 which is undefined if there is none.
+     *
+     * @return A Promise for the notification if no callback is given.
+     */
+    status: function(key, callback) {
+
+        return withCallback(callStore(this.store, "get", key), callback);
+    },
+
+    /**
+     * Stops delivering notifications in the background.
+     *
+     * @param callback Optional callback that is called once deliveries in progress are done.
+     *
+     * @return A Promise if no callback is given.
+     */
+    stop: function(callback) {
+
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        var polling = this.polling || Promise.resolve();
+        return withCallback(polling.then(_.noop, _.noop), callback);
+    },
+
+    _schedule: function(delay) {
+
+        if (this.timer || this.polling || !this.running) {
+            return;
+        }
+
+        var self = this;
+        this.timer = setTimeout(function() {
+            self.timer = null;
+            self.polling = self._prune().then(function() {
+                return self._deliverDue();
+            })["catch"](function(error) {
+                self.onError(error);
+            }).then(function() {
+                self.polling = null;
+                self._schedule(self.pollInterval);
+            });
+        }, delay);
+    },
+
+    _recoverInterrupted: function() {
+
+        var self = this;
+        return callStore(this.store, "list").then(function(notifications) {
+            var interrupted = _.filter(notifications, { status: "delivering" });
+            return Promise.all(_.map(interrupted, function(notification) {
+                if (self.retryInterrupted) {
+                    notification.status = "pending";
+                    notification.nextAttemptAt = Date.now();
+                } else {
+                    notification.status = "failed";
+                    notification.lastError = { message: "Delivery was interrupted" };
+                }
+                return callStore(self.store, "update", notification);
+            }));
+        });
+    },
+
+    _prune: function() {
+
+        var self = this;
+        var threshold = Date.now() - this.retention;
+        return callStore(this.store, "list").then(function(notifications) {
+            return Promise.all(_.map(notifications, function(notification) {
+                var finishedAt = notification.deliveredAt || notification.lastAttemptAt;
+                if ((notification.status === "delivered" || notification.status === "failed") &&
+                    finishedAt < threshold) {
+                    return callStore(self.store, "remove", notification.key);
+                }
+            }));
+        });
+    },
+
+    /**
+     * Delivers the notifications that are due, at most the configured number at a time. Resolves
+     * once they are all delivered or have failed.
+     */
+    _deliverDue: function() {
+
+        var self = this;
+        var now = Date.now();
+        return callStore(this.store, "list").then(function(notifications) {
+            var due = _.map(_.sortBy(_.filter(notifications, function(notification) {
+                return notification.status === "pending" && notification.nextAttemptAt <= now;
+            }), "createdAt"), "key");
+
+            function next() {
+                var key = due.shift();
+                return (key ? self._deliver(key).then(next) : null);
+            }
+            return Promise.all(_.times(Math.min(self.concurrency, due.length), next));
+        });
+    },
+
+    /**
+     * Delivers a notification, unless it is being delivered already or is no longer pending
+     * because it was delivered in the meantime.
+     */
+    _deliver: function(key) {
+
+        if (this.inFlight[key]) {
+            return Promise.resolve();
+        }
+        this.inFlight[key] = true;
+
+        var self = this;
+        var notification;
+        return callStore(this.store, "get", key).then(function(current) {
+            notification = current;
+            if (!notification || notification.status !== "pending") {
+                return;
+            }
+
+            notification.status = "delivering";
+            notification.attempts++;
+            notification.lastAttemptAt = Date.now();
+            return callStore(self.store, "update", notification).then(function() {
+                return self._send(notification);
+            });
+        }).then(function() {
+            delete self.inFlight[key];
+        }, function(error) {
+            // the store failed, so the notification remains in its previous state
+            delete self.inFlight[key];
+            throw error;
+        });
+    },
+
+    /**
+     * Sends a notification using the API client and stores the outcome.
+     */
+    _send: function(notification) {
+
+        var self = this;
+        return new Promise(function(resolve) {
+            var network = self.api.network(notification.networkEid);
+            resolve(notification.type === "alert" ? network.alerts.send(notification.data) :
+                                                    network.messages.create(notification.data));
+        }).then(function(result) {
+            notification.status = "delivered";
+            notification.deliveredAt = Date.now();
+            notification.result = result;
+            delete notification.nextAttemptAt;
+            delete notification.lastError;
+        }, function(error) {
+            notification.lastError = {
+                code: error.code,
+                status: error.status,
+                message: error.message
+            };
+            if (isTransientError(error) && (self.retryAmbiguous || !isAmbiguousError(error)) &&
+                notification.attempts < self.maxAttempts) {
+                notification.status = "pending";
+                notification.nextAttemptAt = Date.now() + Math.min(
+                    self.maxDelay, self.minDelay * Math.pow(2, notification.attempts - 1)
+                );
+            } else {
+                notification.status = "failed";
+                delete notification.nextAttemptAt;
+            }
+        }).then(function() {
+            return callStore(self.store, "update", notification);
+        });
+    }
+
+});
+
+module.exports = {
+    FileOutboxStore: FileOutboxStore,
+    MemoryOutboxStore: MemoryOutboxStore,
+    Outbox: Outbox
+};
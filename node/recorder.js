@@ -0,0 +1,307 @@
+"use strict";
+
+/**
+ * Records and replays the traffic of a Speakap.API instance, so tests can exercise real replies of
+ * the Speakap API without network access and with deterministic results.
+ *
+ * In record mode, every request made by the API instance is sent to the Speakap API as usual, and
+ * the request and its reply are saved to a JSON fixture file when the recorder is stopped. In
+ * replay mode, requests are never sent. Instead, they are matched against the requests in the
+ * fixture file by method, path and body, and answered with the recorded replies. Any request
+ * without a recorded counterpart fails immediately with an UnmatchedRequestError, and makes stop()
+ * fail as well:
+ *
+ *   var Recorder = require("speakap/testing").Recorder;
+ *
+ *   var recorder = new Recorder({
+ *       fixture: __dirname + "/fixtures/send-alert.json",
+ *       mode: (process.env.SPEAKAP_RECORD ? "record" : "replay")
+ *   });
+ *   recorder.attach(speakapApi);
+ *
+ *   // exercise the code under test
+ *
+ *   await recorder.stop();
+ *
+ * Access tokens and app secrets are scrubbed from everything that is saved, as are any additional
+ * secrets given to the recorder. The Authorization, Cookie, Proxy-Authorization and Set-Cookie
+ * headers are always redacted. Requests are matched after scrubbing, so fixture files never need
+ * to contain real credentials. Multipart bodies are not recorded, so uploads are matched by method
+ * and path only.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var util = require("util");
+var _ = require("lodash");
+
+var Speakap = require("./speakap");
+var withCallback = require("./callbacks").withCallback;
+
+var REDACTED = "[REDACTED]";
+
+var REDACTED_HEADERS = ["cookie", "proxy-authorization", "set-cookie"];
+
+/**
+ * Returned in replay mode when a request has no recorded counterpart. The code is -1005. These
+ * requests are never retried.
+ */
+function UnmatchedRequestError(message, properties) {
+
+    Speakap.SpeakapApiError.call(this, message, properties);
+
+    this.name = "UnmatchedRequestError";
+}
+
+util.inherits(UnmatchedRequestError, Speakap.SpeakapApiError);
+
+/**
+ * Parses a body as JSON if possible, so fixture files remain readable.
+ */
+function parseBody(body) {
+
+    if (!body) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(body);
+    } catch(exception) {
+        return body;
+    }
+}
+
+/**
+ * Serializes a recorded body back into the string that was originally sent or received.
+ */
+function serializeBody(body) {
+
+    return (_.isString(body) || _.isNull(body) ? body || "" : JSON.stringify(body));
+}
+
+/**
+ * @param options Options object. May contain the following properties:
+ *                fixture - Path of the JSON fixture file. Required.
+ *                mode - Either "record" or "replay". By default, this is "replay".
+ *                secrets - Array of additional strings to scrub from fixtures, such as user
+ *                          tokens contained in paths or bodies.
+ *
+ * In replay mode, the fixture file is read immediately, and an Error is thrown if it doesn't
+ * exist.
+ */
+function Recorder(options) {
+
+    if (!options || !options.fixture) {
+        throw new Error("Recorder requires a fixture path");
+    }
+
+    this.fixture = options.fixture;
+    this.mode = options.mode || "replay";
+    this.secrets = options.secrets || [];
+
+    if (this.mode !== "record" && this.mode !== "replay") {
+        throw new Error("Recorder mode should be record or replay");
+    }
+
+    /**
+     * Recorded interactions, each consisting of a request and either a response or an error.
+     */
+    this.interactions = (this.mode === "replay" ?
+                         JSON.parse(fs.readFileSync(this.fixture, "utf8")).interactions : []);
+
+    /**
+     * Requests that could not be matched in replay mode, as "METHOD path" strings.
+     */
+    this.unmatched = [];
+
+    this.apis = [];
+    this.used = [];
+}
+
+_.extend(Recorder.prototype, {
+
+    /**
+     * Starts recording or replaying the requests of an API instance. Multiple API instances may be
+     * attached to the same recorder.
+     *
+     * Every attempt of a request is recorded or replayed separately, so retries, throttling and
+     * caching behave the same as they do against the Speakap API.
+     *
+     * @return The recorder, so calls can be chained.
+     */
+    attach: function(api) {
+
+        var self = this;
+        var transmit = api._transmit;
+        api._transmit = function(method, path, headers, body, options, callback) {
+            var request = self._recordedRequest(api, method, path, headers, body);
+            if (self.mode === "replay") {
+                setImmediate(function() {
+                    self._replay(request, callback);
+                });
+                return;
+            }
+
+            function record(error, res, responseBody) {
+                self.interactions.push(self._interaction(api, request, error, res, responseBody));
+                callback(error, res, responseBody);
+            }
+            transmit.call(api, method, path, headers, body, options, record);
+        };
+        this.apis.push({ api: api, transmit: transmit });
+        return this;
+    },
+
+    /**
+     * Detaches the recorder from all API instances. In record mode, the fixture file is written,
+     * creating its directory if necessary. In replay mode, this fails if any request could not be
+     * matched.
+     *
+     * @param callback Optional callback that receives an error, if any.
+     *
+     * @return A Promise if no callback is given.
+     */
+    stop: function(callback) {
+
+        _.each(this.apis, function(entry) {
+            entry.api._transmit = entry.transmit;
+        });
+        this.apis = [];
+
+        var self = this;
+        var promise = new Promise(function(resolve, reject) {
+            if (self.mode === "replay") {
+                if (self.unmatched.length) {
+                    reject(new Error("Unmatched requests: " + _.uniq(self.unmatched).join(", ")));
+                } else {
+                    resolve();
+                }
+                return;
+            }
+
+            var json = JSON.stringify({ interactions: self.interactions }, null, 2) + "\n";
+            fs.mkdir(path.dirname(self.fixture), { recursive: true }, function(error) {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                fs.writeFile(self.fixture, json, function(error) {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+
+        return withCallback(promise, callback);
+    },
+
+    _interaction: function(api, request, error, res, responseBody) {
+
+        if (error) {
+            return {
+                request: request,
+                error: { name: error.name, code: error.code, message: error.message }
+            };
+        }
+
+        return {
+            request: request,
+            response: {
+                status: res.statusCode,
+                headers: this._scrubHeaders(api, res.headers),
+                body: this._scrub(api, parseBody(responseBody))
+            }
+        };
+    },
+
+    _recordedRequest: function(api, method, path, headers, body) {
+
+        return {
+            method: method,
+            path: this._scrub(api, path),
+            headers: this._scrubHeaders(api, _.omit(headers, "Content-length")),
+            body: (Buffer.isBuffer(body) ? this._scrub(api, parseBody(body.toString("utf8"))) :
+                                           null)
+        };
+    },
+
+    _replay: function(request, callback) {
+
+        var used = this.used;
+        var index = _.findIndex(this.interactions, function(interaction, index) {
+            return !used[index] && interaction.request.method === request.method &&
+                   interaction.request.path === request.path &&
+                   _.isEqual(interaction.request.body, request.body);
+        });
+
+        if (index === -1) {
+            this.unmatched.push(request.method + " " + request.path);
+            callback(new UnmatchedRequestError("No recorded reply for " + request.method + " " +
+                                               request.path, {
+                code: -1005,
+                method: request.method,
+                path: request.path
+            }));
+            return;
+        }
+
+        used[index] = true;
+        var interaction = this.interactions[index];
+        if (interaction.error) {
+            var ErrorClass = (interaction.error.name === "RequestAbortedError" ?
+                              Speakap.RequestAbortedError : Speakap.NetworkError);
+            callback(new ErrorClass(interaction.error.message, {
+                code: interaction.error.code,
+                method: request.method,
+                path: request.path
+            }));
+        } else {
+            var response = interaction.response;
+            callback(null, { statusCode: response.status, headers: response.headers || {} },
+                     serializeBody(response.body));
+        }
+    },
+
+    /**
+     * Replaces all secrets in a string, or in the strings contained in an object, with
+     * "[REDACTED]".
+     */
+    _scrub: function(api, value) {
+
+        var secrets = _.filter(_.uniq([api.accessToken, api.appSecret].concat(this.secrets)));
+        if (!secrets.length) {
+            return value;
+        }
+
+        function scrub(value) {
+            if (_.isString(value)) {
+                return _.reduce(secrets, function(value, secret) {
+                    return value.split(secret).join(REDACTED);
+                }, value);
+            } else if (_.isArray(value)) {
+                return _.map(value, scrub);
+            } else if (_.isPlainObject(value)) {
+                return _.mapValues(value, scrub);
+            } else {
+                return value;
+            }
+        }
+        return scrub(value);
+    },
+
+    _scrubHeaders: function(api, headers) {
+
+        return this._scrub(api, _.mapValues(Speakap.redactHeaders(headers), function(value, key) {
+            return (_.includes(REDACTED_HEADERS, key.toLowerCase()) ? REDACTED : value);
+        }));
+    }
+
+});
+
+Recorder.UnmatchedRequestError = UnmatchedRequestError;
+
+module.exports = Recorder;
@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * Session stores for keeping track of the sessions created when your App is launched.
+ *
+ * These are available through the Speakap object as Speakap.sessions, and are used by the
+ * middleware in Speakap.middleware. Every session store implements the following interface:
+ *
+ *   createSession(context, callback) - Creates a session for the context of a validated signed
+ *                                      request (see Speakap.parseSignedRequest()). The callback
+ *                                      receives an error (if any) and the session, which contains
+ *                                      all properties of the context plus an id property holding
+ *                                      the session token.
+ *   getSession(token, callback) - Looks up the session for a session token. The callback receives
+ *                                 an error (if any) and the session, which is undefined if the
+ *                                 token is invalid or expired.
+ *
+ * Three session stores are provided:
+ *
+ *   MemorySessionStore - Keeps sessions in memory. Only suitable if you run a single process.
+ *   StoreSessionStore - Keeps sessions in any key-value store implementing the same get() and set()
+ *                       methods as Speakap.MemoryStore, such as an adapter for Redis.
+ *   StatelessSessionStore - Doesn't store sessions at all. Instead, the session token itself is an
+ *                           HMAC-signed, expiring token containing the networkEID, userEID, role
+ *                           and locale. This way, multiple processes can validate sessions without
+ *                           shared storage.
+ */
+
+var crypto = require("crypto");
+var util = require("util");
+var _ = require("lodash");
+
+var MemoryStore = require("./store");
+
+var DEFAULT_SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // ms
+
+/**
+ * Properties of the context that are encoded in stateless session tokens.
+ */
+var STATELESS_PROPERTIES = ["appId", "networkEID", "userEID", "role", "locale"];
+
+function base64UrlEncode(buffer) {
+
+    return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(string) {
+
+    return Buffer.from(string.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Session store that keeps sessions in a key-value store.
+ *
+ * @param store Key-value store implementing the same get() and set() methods as
+ *              Speakap.MemoryStore.
+ * @param options Optional options object. May contain the following properties:
+ *                ttl - Time in milliseconds sessions are kept. By default, this is one week.
+ *
+ * Example:
+ *
+ *   var sessionStore = new Speakap.sessions.StoreSessionStore(myRedisAdapter);
+ */
+function StoreSessionStore(store, options) {
+
+    if (!store || !_.isFunction(store.get) || !_.isFunction(store.set)) {
+        throw new Error("Session store requires a store with get() and set() methods");
+    }
+
+    options = options || {};
+
+    this.store = store;
+    this.ttl = options.ttl || DEFAULT_SESSION_TTL;
+}
+
+_.extend(StoreSessionStore.prototype, {
+
+    createSession: function(context, callback) {
+
+        var session = _.extend({ id: crypto.randomBytes(24).toString("hex") }, context);
+        this.store.set(session.id, session, this.ttl, function(error) {
+            if (error) {
+                callback(error);
+            } else {
+                callback(null, session);
+            }
+        });
+    },
+
+    getSession: function(token, callback) {
+
+        this.store.get(token, callback);
+    }
+
+});
+
+/**
+ * Session store that keeps sessions in memory.
+ *
+ * @param options Optional options object. May contain the following properties:
+ *                maxSize - Maximum number of sessions kept. By default, this is 10000.
+ *                ttl - Time in milliseconds sessions are kept. By default, this is one week.
+ */
+function MemorySessionStore(options) {
+
+    StoreSessionStore.call(this, new MemoryStore(options), options);
+}
+
+util.inherits(MemorySessionStore, StoreSessionStore);
+
+/**
+ * Session store that encodes sessions into HMAC-signed session tokens.
+ *
+ * @param options Options object. May contain the following properties:
+ *                secret - Secret used for signing the session tokens. Required. Use a random
+ *                         string that is at least 32 characters long, and don't reuse your app
+ *                         secret.
+ *                ttl - Time in milliseconds session tokens are valid. By default, this is one
+ *                      week.
+ *
+ * Note that sessions looked up by token only contain the appId, networkEID, userEID, role and
+ * locale properties, in addition to the id. The session returned by createSession() contains the
+ * full context of the signed request, so you can still pass the signed request and app data to
+ * the client when your App is launched. Because tokens aren't stored, they cannot be revoked before
+ * they expire.
+ */
+function StatelessSessionStore(options) {
+
+    if (!options || !options.secret) {
+        throw new Error("Stateless session store requires a secret");
+    }
+
+    this.secret = options.secret;
+    this.ttl = options.ttl || DEFAULT_SESSION_TTL;
+}
+
+_.extend(StatelessSessionStore.prototype, {
+
+    createSession: function(context, callback) {
+
+        var payload = _.pick(context, STATELESS_PROPERTIES);
+        payload.expiresAt = Date.now() + this.ttl;
+
+        var encodedPayload = base64UrlEncode(Buffer.from(JSON.stringify(payload), "utf8"));
+        var token = encodedPayload + "." + base64UrlEncode(this._sign(encodedPayload));
+
+        callback(null, _.extend({ id: token }, context));
+    },
+
+    getSession: function(token, callback) {
+
+        var parts = String(token).split(".");
+        if (parts.length !== 2) {
+            callback(null);
+            return;
+        }
+
+        var signature = base64UrlDecode(parts[1]);
+        var computedSignature = this._sign(parts[0]);
+        if (signature.length !== computedSignature.length ||
+            !crypto.timingSafeEqual(signature, computedSignature)) {
+            callback(null);
+            return;
+        }
+
+        var payload;
+        try {
+            payload = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+        } catch(exception) {
+            callback(null);
+            return;
+        }
+
+        if (!_.isNumber(payload.expiresAt) || Date.now() > payload.expiresAt) {
+            callback(null);
+            return;
+        }
+
+        callback(null, _.extend({ id: token }, _.pick(payload, STATELESS_PROPERTIES)));
+    },
+
+    _sign: function(string) {
+
+        return crypto.createHmac("sha256", this.secret).update(string).digest();
+    }
+
+});
+
+/**
+ * Returns whether the given object implements the session store interface.
+ */
+function isSessionStore(store) {
+
+    return !!store && _.isFunction(store.createSession) && _.isFunction(store.getSession);
+}
+
+module.exports = {
+    isSessionStore: isSessionStore,
+    MemorySessionStore: MemorySessionStore,
+    StatelessSessionStore: StatelessSessionStore,
+    StoreSessionStore: StoreSessionStore
+};
@@ -0,0 +1,604 @@
+"use strict";
+
+/**
+ * Creation and validation of the signed requests with which Speakap launches your App.
+ */
+
+var crypto = require("crypto");
+var querystring = require("querystring");
+var _ = require("lodash");
+
+var errors = require("./errors");
+
+var ExpiredSignatureError = errors.ExpiredSignatureError;
+var InvalidSignatureError = errors.InvalidSignatureError;
+var MalformedSignedRequestError = errors.MalformedSignedRequestError;
+var ReplayedSignatureError = errors.ReplayedSignatureError;
+
+var DEFAULT_SIGNATURE_WINDOW_SIZE = 60 * 1000; // ms
+var DEFAULT_CLOCK_SKEW = 5 * 1000; // ms
+
+var DEFAULT_SIGNATURE_VERSION = "v1";
+
+var REQUIRED_PARAMETERS = ["appId", "issuedAt", "networkEID", "userEID", "signature"];
+
+function percentEncode(string) {
+
+    return encodeURIComponent(string).replace(/!/g, '%21').replace(/'/g, '%27')
+                                     .replace(/\(/g, '%28').replace(/\)/g, '%29')
+                                     .replace(/\*/g, '%2A');
+}
+
+/**
+ * Generates the signed request string from the parameters.
+ *
+ * @param params Object containing POST parameters passed during the signed request.
+ *
+ * @return Query string containing the parameters of the signed request.
+ *
+ * Note this method does not calculate a signature; it simply generates the signed request from
+ * the parameters including the signature.
+ */
+function signedRequest(params) {
+
+    var keys = _.without(_.keys(params), "signature");
+    keys.sort();
+    keys.push("signature");
+    return _.map(keys, function(key) {
+        return percentEncode(key) + "=" + percentEncode(params[key]);
+    }).join("&");
+}
+
+/**
+ * Signature schemes, keyed by the value of the signatureVersion parameter of a signed request.
+ *
+ * Every scheme is an object with the following methods:
+ *   canonicalize(params) - Returns the string to compute the signature over. The params object
+ *                          contains all parameters of the signed request, including the signature.
+ *   digest(string, appSecret) - Returns a Buffer containing the raw signature of the given string.
+ *   encode(digest) - Encodes a raw signature into the value of the signature parameter.
+ *   decode(signature) - Decodes the value of the signature parameter into a Buffer containing the
+ *                       raw signature. Should return null if the value is not properly encoded.
+ *
+ * Signed requests without a signatureVersion parameter use the "v1" scheme.
+ */
+var signatureSchemes = {
+
+    /**
+     * HMAC-SHA256 over all parameters except the signature, sorted by key and joined as a
+     * percent-encoded query string. The signature is base64-encoded.
+     */
+    v1: {
+        canonicalize: function(params) {
+
+            var keys = _.without(_.keys(params), "signature");
+            keys.sort();
+
+            return _.map(keys, function(key) {
+                return percentEncode(key) + "=" + percentEncode(params[key]);
+            }).join("&");
+        },
+
+        digest: function(string, appSecret) {
+
+            return crypto.createHmac("sha256", appSecret).update(string).digest();
+        },
+
+        encode: function(digest) {
+
+            return digest.toString("base64");
+        },
+
+        decode: function(signature) {
+
+            var digest = Buffer.from(String(signature), "base64");
+            return (digest.toString("base64") === signature ? digest : null);
+        }
+    }
+};
+
+/**
+ * Registers a signature scheme.
+ *
+ * @param version Value of the signatureVersion parameter for which the scheme should be used.
+ * @param scheme Scheme object. See the signatureSchemes object for the methods it should implement.
+ */
+function registerSignatureScheme(version, scheme) {
+
+    if (!_.every(["canonicalize", "digest", "encode", "decode"], function(method) {
+        return _.isFunction(scheme[method]);
+    })) {
+        throw new Error("Signature scheme should implement canonicalize, digest, encode and " +
+                        "decode");
+    }
+
+    signatureSchemes[version] = scheme;
+}
+
+/**
+ * Returns the signature scheme to use for a signed request, or undefined if the signed request
+ * specifies an unsupported signatureVersion.
+ */
+function getSignatureScheme(params) {
+
+    var version = params.signatureVersion || DEFAULT_SIGNATURE_VERSION;
+    return (_.has(signatureSchemes, version) ? signatureSchemes[version] : undefined);
+}
+
+/**
+ * Validator for signed requests.
+ *
+ * You should instantiate the validator as follows:
+ *
+ *   var Speakap = require("speakap");
+ *   var signedRequest = new Speakap.SignedRequest({
+ *       appId: MY_APP_ID,
+ *       appSecret: MY_APP_SECRET,
+ *       signatureWindowSize: 60 * 1000,
+ *       clockSkew: 5 * 1000
+ *   });
+ *
+ * The config object may contain the following properties:
+ *   appId - ID of your App. If given, the appId parameter of the signed request should match it.
+ *   appSecret - App secret the parameters should've been signed with. To rotate your app secret,
+ *               you may also pass an array of secrets, ordered from current to oldest. Every
+ *               secret in the array is accepted, so previous secrets can remain valid during a
+ *               grace period. Array elements may be strings or objects with a secret property
+ *               and an optional validUntil property (a Date or timestamp in milliseconds) after
+ *               which the secret is no longer accepted.
+ *   signatureWindowSize - Time in milliseconds a signed request is considered valid after it has
+ *                         been issued. By default, this is 60 seconds.
+ *   clockSkew - Time in milliseconds the clocks of Speakap and your server are allowed to differ.
+ *               Requests issued up to this amount of time in the future are accepted, and
+ *               requests are accepted this much longer than the signature window. By default,
+ *               this is 5 seconds.
+ *   replayStore - Optional store for keeping track of signatures that have been used before. When
+ *                 given, validate() rejects every signed request that has been seen within its
+ *                 signature window. Use a MemoryStore if you run a single process, or a shared
+ *                 store implementing the same interface, including its atomic add() method, if
+ *                 you run multiple.
+ *
+ * After you have instantiated the validator, you can validate the POST parameters of a signed
+ * request as follows:
+ *
+ *   try {
+ *       signedRequest.validateSignature(req.body);
+ *   } catch(error) {
+ *       if (error instanceof Speakap.ExpiredSignatureError) {
+ *           // the signature may be valid, but the request expired
+ *       } else if (error instanceof Speakap.InvalidSignatureError) {
+ *           // the request is probably not originating from Speakap
+ *       } else {
+ *           // the request is malformed
+ *       }
+ *   }
+ *
+ * If you have configured a replayStore, use validate() instead, which also rejects signed
+ * requests that have been used before:
+ *
+ *   signedRequest.validate(req.body, function(error) {
+ *       if (error instanceof Speakap.ReplayedSignatureError) {
+ *           // the signed request was valid, but it has been used before
+ *       } else if (error) {
+ *           // the signed request is invalid, see above
+ *       } else {
+ *           // proceed
+ *       }
+ *   });
+ */
+function SignedRequest(config) {
+
+    this.appId = config.appId;
+    this.setAppSecret(config.appSecret);
+    this.signatureWindowSize = (_.isNumber(config.signatureWindowSize) ?
+                                config.signatureWindowSize : DEFAULT_SIGNATURE_WINDOW_SIZE);
+    this.clockSkew = (_.isNumber(config.clockSkew) ? config.clockSkew : DEFAULT_CLOCK_SKEW);
+    this.replayStore = config.replayStore || null;
+}
+
+_.extend(SignedRequest.prototype, {
+
+    /**
+     * Parses and validates a signed request.
+     *
+     * @param input Either an object containing the POST parameters passed during the signed
+     *              request (such as req.body in Express.js) or the signed request as a query
+     *              string.
+     * @param callback Optional callback that receives the result of parsing. If given, the signed
+     *                 request is validated using validate(), so replayed signed requests are
+     *                 rejected if a replayStore is configured. It receives two parameters:
+     *                 error - Any of the errors passed by validate().
+     *                 context - The context object described below.
+     *
+     * @return If no callback is given, the context object of the signed request. It contains the
+     *         following properties:
+     *         appId - ID of the App the signed request was issued for.
+     *         networkEID - EID of the network the App is opened in.
+     *         userEID - EID of the user that opened the App.
+     *         role - Role of the user in the network.
+     *         locale - Locale of the user, e.g. "en-US".
+     *         issuedAt - Date at which the signed request was issued.
+     *         appData - App data passed along with the signed request. It is JSON-decoded if it
+     *                   contains a JSON object or array.
+     *         signedRequest - The signed request as a canonical query string, as generated by
+     *                         signedRequest(). You can pass this on to the frontend library.
+     *
+     * Throws any of the errors thrown by validateSignature() if no callback is given. Without a
+     * callback, replayed signed requests cannot be detected, so this method throws an error if a
+     * replayStore is configured.
+     */
+    parse: function(input, callback) {
+
+        var params;
+        try {
+            params = signedRequestParams(input);
+        } catch(error) {
+            if (callback) {
+                callback(error);
+                return;
+            }
+            throw error;
+        }
+
+        if (callback) {
+            this.validate(params, function(error) {
+                if (error) {
+                    callback(error);
+                } else {
+                    callback(null, signedRequestContext(params));
+                }
+            });
+        } else {
+            if (this.replayStore) {
+                throw new Error("Signed requests should be parsed asynchronously when using a " +
+                                "replayStore");
+            }
+
+            this.validateSignature(params);
+            return signedRequestContext(params);
+        }
+    },
+
+    /**
+     * Returns whether all required parameters are present in a signed request.
+     *
+     * @param params Object containing POST parameters passed during the signed request.
+     */
+    isValidPayload: function(params) {
+
+        return _.isEmpty(this._missingParameters(params));
+    },
+
+    /**
+     * Replaces the app secret(s) signed requests are validated with.
+     *
+     * @param appSecret App secret or array of app secrets. See the SignedRequest constructor for
+     *                  details.
+     */
+    setAppSecret: function(appSecret) {
+
+        var appSecrets = _.map(_.isArray(appSecret) ? appSecret : [appSecret], function(entry) {
+            if (_.isObject(entry)) {
+                return {
+                    secret: entry.secret,
+                    validUntil: (entry.validUntil ? new Date(entry.validUntil).getTime() : null)
+                };
+            } else {
+                return { secret: entry, validUntil: null };
+            }
+        });
+
+        if (!appSecrets.length || !_.every(appSecrets, "secret")) {
+            throw new Error("Speakap signed requests cannot be validated without an app secret");
+        }
+
+        this.appSecrets = appSecrets;
+    },
+
+    /**
+     * Validates the signature of a signed request and, if a replayStore is configured, records the
+     * signature so the signed request cannot be used again.
+     *
+     * @param params Object containing POST parameters passed during the signed request.
+     * @param callback Callback that receives the result of the validation. It receives two
+     *                 parameters:
+     *                 error - Any of the errors thrown by validateSignature(), a
+     *                         ReplayedSignatureError if the signed request has been used before,
+     *                         or an error returned by the replay store.
+     *                 result - The result of validateSignature().
+     */
+    validate: function(params, callback) {
+
+        var result;
+        try {
+            result = this.validateSignature(params);
+        } catch(error) {
+            callback(error);
+            return;
+        }
+
+        if (!this.replayStore) {
+            callback(null, result);
+            return;
+        }
+
+        var key = "speakap:signature:" + params.signature;
+        var ttl = new Date(params.issuedAt).getTime() + this.signatureWindowSize +
+                  this.clockSkew - Date.now();
+        this.replayStore.add(key, true, Math.max(ttl, 1), function(error, added) {
+            if (error) {
+                callback(error);
+            } else if (!added) {
+                callback(new ReplayedSignatureError("Signed request has been used before"));
+            } else {
+                callback(null, result);
+            }
+        });
+    },
+
+    /**
+     * Validates the signature of a signed request.
+     *
+     * Note this method does not protect against replayed signed requests. Use validate() for that.
+     *
+     * @param params Object containing POST parameters passed during the signed request.
+     *
+     * @return Object with a secretIndex property containing the index of the app secret that
+     *         matched the signature. The index is 0 if the current app secret matched, or higher if
+     *         one of the previous secrets matched.
+     *
+     * Throws a MalformedSignedRequestError if required parameters are missing or the appId doesn't
+     * match, an InvalidSignatureError if the signature doesn't match, or an ExpiredSignatureError
+     * if the signed request was issued outside of the signature window.
+     */
+    validateSignature: function(params) {
+
+        var missingParameters = this._missingParameters(params);
+        if (missingParameters.length) {
+            throw new MalformedSignedRequestError("Missing signed request parameters: " +
+                                                  missingParameters.join(", "));
+        }
+
+        if (this.appId && params.appId !== this.appId) {
+            throw new MalformedSignedRequestError("Signed request was issued for another App");
+        }
+
+        var scheme = getSignatureScheme(params);
+        if (!scheme) {
+            throw new MalformedSignedRequestError("Unsupported signature version");
+        }
+
+        var secretIndex = this._matchSecret(scheme, params);
+        if (secretIndex === -1) {
+            throw new InvalidSignatureError("Invalid signature");
+        }
+
+        var issuedAt = new Date(params.issuedAt).getTime();
+        if (_.isNaN(issuedAt)) {
+            throw new MalformedSignedRequestError("Invalid issuedAt timestamp");
+        }
+
+        var now = Date.now();
+        if (issuedAt > now + this.clockSkew) {
+            throw new ExpiredSignatureError("Signature issued in the future");
+        }
+        if (now > issuedAt + this.signatureWindowSize + this.clockSkew) {
+            throw new ExpiredSignatureError("Expired signature");
+        }
+
+        return { secretIndex: secretIndex };
+    },
+
+    /**
+     * Returns the index of the first currently valid app secret that matches the signature of the
+     * signed request, or -1 if none matches.
+     */
+    _matchSecret: function(scheme, params) {
+
+        var signature = scheme.decode(params.signature);
+        if (!signature) {
+            return -1;
+        }
+
+        var canonicalString = scheme.canonicalize(params);
+        var now = Date.now();
+        return _.findIndex(this.appSecrets, function(appSecret) {
+            if (appSecret.validUntil !== null && now > appSecret.validUntil) {
+                return false;
+            }
+
+            var computedSignature = scheme.digest(canonicalString, appSecret.secret);
+            return (signature.length === computedSignature.length &&
+                    crypto.timingSafeEqual(signature, computedSignature));
+        });
+    },
+
+    /**
+     * Returns the names of the required parameters that are absent from a signed request.
+     */
+    _missingParameters: function(params) {
+
+        return _.filter(REQUIRED_PARAMETERS, function(key) {
+            return !params || !_.has(params, key) || _.isNull(params[key]) ||
+                   _.isUndefined(params[key]);
+        });
+    }
+
+});
+
+/**
+ * Returns the parameters of a signed request given as object or query string.
+ */
+function signedRequestParams(input) {
+
+    if (_.isString(input)) {
+        input = querystring.parse(input.replace(/^\?/, ""));
+    } else if (!_.isObject(input)) {
+        throw new MalformedSignedRequestError("Signed request should be an object or a string");
+    }
+
+    var params = {};
+    _.each(input, function(value, key) {
+        if (!_.isString(value)) {
+            throw new MalformedSignedRequestError("Invalid value for parameter " + key);
+        }
+        params[key] = value;
+    });
+    return params;
+}
+
+/**
+ * Returns the context object for a validated signed request. See SignedRequest.parse().
+ */
+function signedRequestContext(params) {
+
+    var appData = params.appData;
+    if (appData) {
+        try {
+            var parsedAppData = JSON.parse(appData);
+            if (_.isObject(parsedAppData)) {
+                appData = parsedAppData;
+            }
+        } catch(exception) {
+            // app data is not JSON, so we pass it on unmodified
+        }
+    }
+
+    return {
+        appId: params.appId,
+        networkEID: params.networkEID,
+        userEID: params.userEID,
+        role: params.role,
+        locale: params.locale,
+        issuedAt: new Date(params.issuedAt),
+        appData: appData,
+        signedRequest: signedRequest(params)
+    };
+}
+
+/**
+ * Parses and validates a signed request.
+ *
+ * @param input Either an object containing the POST parameters passed during the signed request or
+ *              the signed request as a query string.
+ * @param options Options object. Accepts the same properties as the config object of the
+ *                SignedRequest class, so at least appSecret should be given.
+ * @param callback Optional callback. See SignedRequest.parse().
+ *
+ * @return The context object of the signed request if no callback is given. See
+ *         SignedRequest.parse().
+ *
+ * Example:
+ *
+ *   app.post("/", function(req, res) {
+ *       var context = Speakap.parseSignedRequest(req.body, { appId: MY_APP_ID,
+ *                                                            appSecret: MY_APP_SECRET });
+ *       // context.networkEID, context.userEID, context.appData, ...
+ *   });
+ */
+function parseSignedRequest(input, options, callback) {
+
+    return new SignedRequest(options).parse(input, callback);
+}
+
+/**
+ * Creates a signed request, like Speakap does when it launches your App.
+ *
+ * This is mainly useful for testing your App without Speakap, for instance in integration tests.
+ *
+ * @param params Object containing the parameters to sign, such as appId, networkEID, userEID, role,
+ *               locale and appData. Any signature parameter is ignored.
+ * @param appSecret App secret to sign the parameters with. If an array of app secrets is given,
+ *                  the first (current) one is used.
+ * @param options Optional options object. May contain the following properties:
+ *                issuedAt - Date, timestamp in milliseconds or ISO 8601 string to use as issuedAt
+ *                           parameter. By default, the issuedAt parameter from params is used, or
+ *                           the current time if params doesn't contain one. Either may be given in
+ *                           any of these forms.
+ *
+ * @return Object containing the following properties:
+ *         params - The signed parameters, including issuedAt and signature. These can be POSTed to
+ *                  your App as they are.
+ *         signedRequest - The signed request as query string, as generated by signedRequest().
+ *
+ * Throws an Error if issuedAt is not a valid date.
+ *
+ * Example:
+ *
+ *   var launch = Speakap.createSignedRequest({
+ *       appId: MY_APP_ID,
+ *       networkEID: networkEid,
+ *       userEID: userEid,
+ *       role: "user",
+ *       locale: "en-US",
+ *       appData: ""
+ *   }, MY_APP_SECRET);
+ *
+ *   Speakap.validateSignature(launch.params, MY_APP_SECRET); // passes
+ */
+function createSignedRequest(params, appSecret, options) {
+
+    options = options || {};
+
+    var signedParams = _.omit(params, "signature");
+
+    var issuedAt = options.issuedAt || signedParams.issuedAt || new Date();
+    if (_.isNumber(issuedAt)) {
+        issuedAt = new Date(issuedAt);
+    }
+    if (_.isDate(issuedAt) ? isNaN(issuedAt.getTime()) : isNaN(Date.parse(issuedAt))) {
+        throw new Error("Invalid issuedAt, should be a Date, timestamp or ISO 8601 string: " +
+                        issuedAt);
+    }
+    signedParams.issuedAt = (_.isDate(issuedAt) ? issuedAt.toISOString() : String(issuedAt));
+
+    var scheme = getSignatureScheme(signedParams);
+    if (!scheme) {
+        throw new Error("Unsupported signature version: " + signedParams.signatureVersion);
+    }
+
+    var secret = (_.isArray(appSecret) ? _.first(appSecret) : appSecret);
+    if (_.isObject(secret)) {
+        secret = secret.secret;
+    }
+    if (!secret) {
+        throw new Error("Speakap signed requests cannot be created without an app secret");
+    }
+
+    signedParams.signature = scheme.encode(scheme.digest(scheme.canonicalize(signedParams),
+                                                         secret));
+
+    return {
+        params: signedParams,
+        signedRequest: signedRequest(signedParams)
+    };
+}
+
+/**
+ * Validates the signature of a signed request.
+ *
+ * @param params Object containing POST parameters passed during the signed request.
+ * @param appSecret App secret the parameters should've been signed with, or an array of app
+ *                  secrets ordered from current to oldest while rotating your app secret.
+ *
+ * @return Object with a secretIndex property containing the index of the matching app secret.
+ *
+ * Throws an exception if the signature doesn't match or the signed request is expired. See
+ * SignedRequest.validateSignature() for the errors thrown. Use the SignedRequest class directly
+ * if you also want to verify the App ID or configure the signature window.
+ */
+function validateSignature(params, appSecret) {
+
+    return new SignedRequest({ appSecret: appSecret }).validateSignature(params);
+}
+
+module.exports = {
+    percentEncode: percentEncode,
+    signedRequest: signedRequest,
+    validateSignature: validateSignature,
+    parseSignedRequest: parseSignedRequest,
+    createSignedRequest: createSignedRequest,
+    signatureSchemes: signatureSchemes,
+    registerSignatureScheme: registerSignatureScheme,
+    SignedRequest: SignedRequest
+};
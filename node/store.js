@@ -0,0 +1,84 @@
+"use strict";
+
+var _ = require("lodash");
+
+/**
+ * In-memory store with a maximum size and per-entry expiry.
+ *
+ * The store implements the asynchronous store interface that is used for keeping track of replayed
+ * signatures:
+ *
+ *   get(key, callback) - Retrieves a value. The callback receives an error (if any) and the value,
+ *                        which is undefined if the key doesn't exist or has expired.
+ *   set(key, value, ttl, callback) - Stores a value for ttl milliseconds. The callback receives an
+ *                                    error, if any.
+ *   add(key, value, ttl, callback) - Stores a value for ttl milliseconds, but only if the key
+ *                                    doesn't exist or has expired. The callback receives an error
+ *                                    (if any) and whether the value was stored. Checking and
+ *                                    storing must happen atomically, e.g. using SET with the NX
+ *                                    option in Redis, or add in Memcached.
+ *
+ * You can use any shared store (Redis, Memcached, ...) instead by implementing the same interface.
+ * Stores that are only used for caching or sessions don't need to implement add().
+ *
+ * @param options Optional options object. May contain the following properties:
+ *                maxSize - Maximum number of entries kept. When the store is full, the least
+ *                          recently used entry is evicted. By default, this is 10000.
+ */
+function MemoryStore(options) {
+
+    options = options || {};
+
+    this.maxSize = options.maxSize || 10000;
+    this.entries = new Map();
+}
+
+_.extend(MemoryStore.prototype, {
+
+    get: function(key, callback) {
+
+        var entry = this.entries.get(key);
+        var value;
+        if (entry) {
+            this.entries["delete"](key);
+            if (entry.expiresAt === null || entry.expiresAt > Date.now()) {
+                this.entries.set(key, entry);
+                value = entry.value;
+            }
+        }
+
+        if (callback) {
+            callback(null, value);
+        }
+    },
+
+    add: function(key, value, ttl, callback) {
+
+        var entry = this.entries.get(key);
+        var added = !entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now());
+        if (added) {
+            this.set(key, value, ttl);
+        }
+
+        if (callback) {
+            callback(null, added);
+        }
+    },
+
+    set: function(key, value, ttl, callback) {
+
+        this.entries["delete"](key);
+        this.entries.set(key, { value: value, expiresAt: (ttl ? Date.now() + ttl : null) });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries["delete"](this.entries.keys().next().value);
+        }
+
+        if (callback) {
+            callback(null);
+        }
+    }
+
+});
+
+module.exports = MemoryStore;
@@ -0,0 +1,137 @@
+"use strict";
+
+var assert = require("assert");
+var http = require("http");
+var _ = require("lodash");
+
+var Speakap = require("../speakap");
+
+describe("API cache", function() {
+
+    var server;
+    var requests;
+    var baseUrl;
+
+    function createClient(config) {
+
+        return new Speakap.API(_.extend({
+            baseUrl: baseUrl,
+            appId: "000a000000000006",
+            appSecret: "legless lizards",
+            proxy: false,
+            cache: {}
+        }, config));
+    }
+
+    beforeEach(function(done) {
+        requests = [];
+
+        // /etag/ replies with an ETag and supports If-None-Match, /fresh/ may be cached for a
+        // minute and /no-store/ may not be cached at all
+        server = http.createServer(function(req, res) {
+            requests.push({ path: req.url, headers: req.headers });
+
+            var headers = { "Content-Type": "application/json" };
+            if (req.url === "/etag/") {
+                headers.ETag = "\"v1\"";
+                if (req.headers["if-none-match"] === "\"v1\"") {
+                    res.writeHead(304, headers);
+                    res.end();
+                    return;
+                }
+            } else if (req.url === "/fresh/") {
+                headers["Cache-Control"] = "max-age=60";
+            } else if (req.url === "/no-store/") {
+                headers.ETag = "\"v1\"";
+                headers["Cache-Control"] = "no-store";
+            }
+
+            res.writeHead(200, headers);
+            res.end(JSON.stringify({ name: "Acme", requests: requests.length }));
+        });
+        server.listen(0, "127.0.0.1", function() {
+            baseUrl = "http://127.0.0.1:" + server.address().port;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    it("revalidates replies with an ETag using If-None-Match", function() {
+        var speakapApi = createClient();
+
+        return speakapApi.get("/etag/").then(function(result) {
+            assert.deepEqual(result, { name: "Acme", requests: 1 });
+
+            return speakapApi.get("/etag/");
+        }).then(function(result) {
+            assert.deepEqual(result, { name: "Acme", requests: 1 });
+            assert.equal(requests.length, 2);
+            assert.equal(requests[0].headers["if-none-match"], undefined);
+            assert.equal(requests[1].headers["if-none-match"], "\"v1\"");
+        });
+    });
+
+    it("serves fresh replies without a request", function() {
+        var speakapApi = createClient();
+
+        return speakapApi.get("/fresh/").then(function(result) {
+            result.name = "Modified";
+
+            return speakapApi.get("/fresh/");
+        }).then(function(result) {
+            assert.deepEqual(result, { name: "Acme", requests: 1 });
+            assert.equal(requests.length, 1);
+        });
+    });
+
+    it("doesn't cache replies with Cache-Control no-store", function() {
+        var speakapApi = createClient();
+
+        return speakapApi.get("/no-store/").then(function() {
+            return speakapApi.get("/no-store/");
+        }).then(function(result) {
+            assert.equal(result.requests, 2);
+            assert.equal(requests[1].headers["if-none-match"], undefined);
+        });
+    });
+
+    it("bypasses the cache for requests with the cache option set to false", function() {
+        var speakapApi = createClient();
+
+        return speakapApi.get("/fresh/").then(function() {
+            return speakapApi.get("/fresh/", { cache: false });
+        }).then(function(result) {
+            assert.equal(result.requests, 2);
+        });
+    });
+
+    it("caches replies per access token", function() {
+        var store = new Speakap.MemoryStore();
+        var speakapApi = createClient({ cache: { store: store } });
+        var otherApi = createClient({ appSecret: "another secret", cache: { store: store } });
+
+        return speakapApi.get("/fresh/").then(function() {
+            return otherApi.get("/fresh/");
+        }).then(function(result) {
+            assert.equal(result.requests, 2);
+
+            return speakapApi.get("/fresh/");
+        }).then(function(result) {
+            assert.equal(result.requests, 1);
+            assert.equal(requests.length, 2);
+        });
+    });
+
+    it("doesn't cache replies without a cache object in the config", function() {
+        var speakapApi = createClient({ cache: undefined });
+
+        return speakapApi.get("/fresh/").then(function() {
+            return speakapApi.get("/fresh/");
+        }).then(function(result) {
+            assert.equal(result.requests, 2);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+"use strict";
+
+var assert = require("assert");
+
+var withCallback = require("../callbacks").withCallback;
+
+describe("withCallback()", function() {
+
+    it("returns the promise if no callback is given", function() {
+        var promise = Promise.resolve("result");
+
+        assert.strictEqual(withCallback(promise), promise);
+    });
+
+    it("passes the outcome of the promise to the callback", function(done) {
+        var error = new Error("Request failed");
+
+        withCallback(Promise.resolve("result"), function(error, result) {
+            assert.equal(error, null);
+            assert.equal(result, "result");
+
+            withCallback(Promise.reject(error), function(callbackError, result) {
+                assert.strictEqual(callbackError, error);
+                assert.equal(result, undefined);
+                done();
+            });
+        });
+    });
+
+    it("lets exceptions thrown by the callback escape the promise chain", function(done) {
+        // replace the handlers of Mocha while the callback throws
+        var events = ["uncaughtException", "unhandledRejection"];
+        var listeners = events.map(function(event) {
+            var eventListeners = process.listeners(event);
+            process.removeAllListeners(event);
+            return eventListeners;
+        });
+        function restore() {
+            events.forEach(function(event, index) {
+                process.removeAllListeners(event);
+                listeners[index].forEach(function(listener) {
+                    process.on(event, listener);
+                });
+            });
+        }
+
+        process.once("unhandledRejection", function() {
+            restore();
+            done(new Error("Expected an uncaught exception instead of an unhandled rejection"));
+        });
+        process.once("uncaughtException", function(error) {
+            restore();
+            assert.equal(error.message, "Callback failed");
+            done();
+        });
+
+        withCallback(Promise.resolve("result"), function() {
+            throw new Error("Callback failed");
+        });
+    });
+});
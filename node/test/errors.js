@@ -0,0 +1,108 @@
+"use strict";
+
+var assert = require("assert");
+
+var Speakap = require("../speakap");
+var FakeSpeakapServer = require("../testing").FakeSpeakapServer;
+
+describe("API errors", function() {
+
+    var server;
+    var speakapApi;
+
+    beforeEach(function() {
+        server = new FakeSpeakapServer();
+        return server.start().then(function() {
+            speakapApi = server.createClient({ retry: { maxAttempts: 1 } });
+        });
+    });
+
+    afterEach(function() {
+        return server.stop();
+    });
+
+    function expectError(path) {
+
+        return speakapApi.get(path || "/networks/").then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            return error;
+        });
+    }
+
+    [
+        [400, "HttpError"],
+        [401, "UnauthorizedError"],
+        [403, "ForbiddenError"],
+        [404, "NotFoundError"],
+        [409, "ConflictError"],
+        [422, "UnprocessableEntityError"],
+        [429, "TooManyRequestsError"],
+        [500, "ServerError"],
+        [503, "ServerError"]
+    ].forEach(function(entry) {
+        it("returns an error of class " + entry[1] + " for HTTP status " + entry[0], function() {
+            server.fail({ status: entry[0], code: 1234, message: "Something went wrong" });
+
+            return expectError().then(function(error) {
+                assert.ok(error instanceof Speakap[entry[1]]);
+                assert.ok(error instanceof Speakap.HttpError);
+                assert.ok(error instanceof Speakap.SpeakapApiError);
+                assert.ok(error instanceof Error);
+                assert.equal(error.name, entry[1]);
+                assert.equal(error.status, entry[0]);
+                assert.equal(error.code, 1234);
+                assert.equal(error.message, "Something went wrong");
+                assert.equal(error.method, "GET");
+                assert.equal(error.path, "/networks/");
+                assert.equal(error.attempts, 1);
+                assert.ok(error.stack);
+            });
+        });
+    });
+
+    it("returns an HttpError with code -1001 if the error reply can't be parsed", function() {
+        server.fail({ status: 502, body: "<html>Bad Gateway</html>" });
+
+        return expectError().then(function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(error.code, -1001);
+            assert.equal(error.message, "Bad Gateway");
+            assert.equal(error.description, "<html>Bad Gateway</html>");
+        });
+    });
+
+    it("returns an UnexpectedReplyError if a successful reply can't be parsed", function() {
+        server.fail({ status: 200, body: "not JSON" });
+
+        return expectError().then(function(error) {
+            assert.ok(error instanceof Speakap.UnexpectedReplyError);
+            assert.ok(!(error instanceof Speakap.HttpError));
+            assert.equal(error.code, -1001);
+            assert.equal(error.status, 200);
+            assert.equal(error.description, "not JSON");
+        });
+    });
+
+    it("returns a NetworkError if no reply is received", function() {
+        server.fail({ disconnect: true });
+
+        return expectError().then(function(error) {
+            assert.ok(error instanceof Speakap.NetworkError);
+            assert.ok(error instanceof Speakap.SpeakapApiError);
+            assert.equal(error.code, -1000);
+            assert.equal(error.status, undefined);
+            assert.ok(error.requestError);
+        });
+    });
+
+    it("passes the error to the callback if one is given", function(done) {
+        server.fail({ status: 404 });
+
+        speakapApi.get("/networks/", function(error, result) {
+            assert.ok(error instanceof Speakap.NotFoundError);
+            assert.equal(result, undefined);
+            done();
+        });
+    });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+var assert = require("assert");
+var path = require("path");
+
+var Speakap = require("../speakap");
+
+var CATALOGS = {
+    "en-US": {
+        schedule: {
+            deleted: "You are no longer scheduled to work in week {week}.",
+            published: "Your schedule for week {week} is available."
+        },
+        shifts: {
+            one: "You have {count} open shift.",
+            other: "You have {count} open shifts."
+        }
+    },
+    "nl_nl": {
+        schedule: {
+            deleted: "Je bent niet meer ingeroosterd in week {week}."
+        },
+        shifts: {
+            one: "Je hebt {count} open dienst.",
+            other: "Je hebt {count} open diensten."
+        }
+    },
+    "pl-PL": {
+        shifts: {
+            one: "Masz {count} otwartą zmianę.",
+            few: "Masz {count} otwarte zmiany.",
+            many: "Masz {count} otwartych zmian."
+        }
+    }
+};
+
+describe("Localization", function() {
+
+    var localization;
+
+    beforeEach(function() {
+        localization = new Speakap.Localization({ catalogs: CATALOGS });
+    });
+
+    it("requires catalogs including one for the default locale", function() {
+        assert.throws(function() {
+            new Speakap.Localization({});
+        }, /requires catalogs or a directory/);
+        assert.throws(function() {
+            new Speakap.Localization({ catalogs: { "nl-NL": {} } });
+        }, /Missing catalog for default locale en-US/);
+    });
+
+    it("translates nested keys and interpolates parameters", function() {
+        assert.equal(localization.translate("nl-NL", "schedule.deleted", { week: 12 }),
+                     "Je bent niet meer ingeroosterd in week 12.");
+        assert.equal(localization.translate("en-US", "schedule.deleted", {}),
+                     "You are no longer scheduled to work in week {week}.");
+    });
+
+    it("selects plural forms according to the rules of the locale", function() {
+        assert.equal(localization.translate("en-US", "shifts", { count: 1 }),
+                     "You have 1 open shift.");
+        assert.equal(localization.translate("en-US", "shifts", { count: 0 }),
+                     "You have 0 open shifts.");
+        assert.equal(localization.translate("pl-PL", "shifts", { count: 1 }),
+                     "Masz 1 otwartą zmianę.");
+        assert.equal(localization.translate("pl-PL", "shifts", { count: 3 }),
+                     "Masz 3 otwarte zmiany.");
+        assert.equal(localization.translate("pl-PL", "shifts", { count: 5 }),
+                     "Masz 5 otwartych zmian.");
+    });
+
+    it("falls back to the other form if the locale lacks a plural category", function() {
+        var localization = new Speakap.Localization({
+            catalogs: { "en-US": { shifts: { other: "{count} shifts" } } }
+        });
+
+        assert.equal(localization.translate("en-US", "shifts", { count: 1 }), "1 shifts");
+    });
+
+    it("falls back to the default locale for missing texts and locales", function() {
+        assert.equal(localization.translate("nl-NL", "schedule.published", { week: 12 }),
+                     "Your schedule for week 12 is available.");
+        assert.equal(localization.translate("fr-FR", "schedule.deleted", { week: 12 }),
+                     "You are no longer scheduled to work in week 12.");
+        assert.equal(localization.translate(null, "shifts", { count: 2 }),
+                     "You have 2 open shifts.");
+    });
+
+    it("falls back to another locale of the same language", function() {
+        assert.equal(localization.translate("nl-BE", "shifts", { count: 2 }),
+                     "Je hebt 2 open diensten.");
+        assert.equal(localization.translate("nl", "shifts", { count: 1 }),
+                     "Je hebt 1 open dienst.");
+    });
+
+    it("throws if the default locale lacks a text", function() {
+        assert.throws(function() {
+            localization.translate("nl-NL", "schedule.cancelled");
+        }, /Missing translation for schedule.cancelled/);
+    });
+
+    it("returns a localizable body with a text for every locale", function() {
+        var t = localization.t;
+
+        assert.deepEqual(localization.locales(), ["en-US", "nl-NL", "pl-PL"]);
+        assert.deepEqual(t("shifts", { count: 2 }), {
+            "en-US": "You have 2 open shifts.",
+            "nl-NL": "Je hebt 2 open diensten.",
+            "pl-PL": "Masz 2 otwarte zmiany."
+        });
+    });
+
+    it("reads catalogs from a directory", function() {
+        var localization = new Speakap.Localization({
+            directory: path.join(__dirname, "..", "..", "examples", "node", "locales")
+        });
+
+        assert.deepEqual(localization.locales(), ["de-DE", "en-US", "nl-NL"]);
+        assert.equal(localization.translate("en-US", "schedule.published", { week: 3 }),
+                     "Your schedule for week 3 is available.");
+    });
+});
@@ -0,0 +1,188 @@
+"use strict";
+
+var assert = require("assert");
+var childProcess = require("child_process");
+var path = require("path");
+var stream = require("stream");
+
+var Speakap = require("../speakap");
+
+var APP_ID = "000a000000000006";
+var APP_SECRET = "legless lizards";
+
+function createLaunchParams() {
+
+    return Speakap.createSignedRequest({
+        appId: APP_ID,
+        networkEID: "0000000000000001",
+        userEID: "0000000000000002",
+        role: "user",
+        locale: "en-US",
+        appData: ""
+    }, APP_SECRET).params;
+}
+
+function createLaunchRequest() {
+
+    return { body: createLaunchParams(), headers: {}, readable: false };
+}
+
+describe("middleware", function() {
+
+    [
+        ["MemorySessionStore", function() {
+            return new Speakap.sessions.MemorySessionStore();
+        }],
+        ["StatelessSessionStore", function() {
+            return new Speakap.sessions.StatelessSessionStore({
+                secret: "a random string that is at least 32 characters long"
+            });
+        }],
+        ["MemoryStore", function() {
+            return new Speakap.MemoryStore();
+        }]
+    ].forEach(function(entry) {
+        it("creates sessions that are accepted afterwards using a " + entry[0], function(done) {
+            var store = entry[1]();
+            var launch = Speakap.middleware.launch({
+                appId: APP_ID,
+                appSecret: APP_SECRET,
+                store: store
+            });
+            var requireSession = Speakap.middleware.requireSession({ store: store });
+
+            var launchReq = createLaunchRequest();
+            launch(launchReq, {}, function(error) {
+                assert.ifError(error);
+                assert.equal(launchReq.session.userEID, "0000000000000002");
+
+                var req = { headers: { "session-token": launchReq.session.id } };
+                requireSession(req, {}, function(error) {
+                    assert.ifError(error);
+                    assert.equal(req.session.networkEID, "0000000000000001");
+                    done();
+                });
+            });
+        });
+    });
+
+    it("reads the signed request from the body if it hasn't been parsed", function(done) {
+        var launch = Speakap.middleware.launch({
+            appSecret: APP_SECRET,
+            store: new Speakap.MemoryStore()
+        });
+
+        var req = new stream.PassThrough();
+        req.headers = {};
+        req.end(Speakap.signedRequest(createLaunchParams()));
+
+        launch(req, {}, function(error) {
+            assert.ifError(error);
+            assert.equal(req.session.userEID, "0000000000000002");
+            done();
+        });
+    });
+
+    it("passes a body that is too large to next() with status 413", function(done) {
+        var launch = Speakap.middleware.launch({
+            appSecret: APP_SECRET,
+            store: new Speakap.MemoryStore()
+        });
+
+        var req = new stream.PassThrough();
+        req.headers = {};
+        req.end(Buffer.alloc(1024 * 1024 + 1, "a"));
+
+        launch(req, {}, function(error) {
+            assert.ok(error instanceof Speakap.MalformedSignedRequestError);
+            assert.equal(error.status, 413);
+            assert.equal(req.session, undefined);
+            done();
+        });
+    });
+
+    it("passes errors reading the body to next() with status 400", function(done) {
+        var launch = Speakap.middleware.launch({
+            appSecret: APP_SECRET,
+            store: new Speakap.MemoryStore()
+        });
+
+        var req = new stream.PassThrough();
+        req.headers = {};
+
+        launch(req, {}, function(error) {
+            assert.equal(error.message, "aborted");
+            assert.equal(error.status, 400);
+            done();
+        });
+        req.destroy(new Error("aborted"));
+    });
+
+    it("passes an invalid signed request to next() with status 401", function(done) {
+        var launch = Speakap.middleware.launch({
+            appId: APP_ID,
+            appSecret: "another secret",
+            store: new Speakap.MemoryStore()
+        });
+
+        var req = createLaunchRequest();
+        launch(req, {}, function(error) {
+            assert.ok(error instanceof Speakap.InvalidSignatureError);
+            assert.equal(error.status, 401);
+            assert.equal(req.session, undefined);
+            done();
+        });
+    });
+
+    it("rejects requests with a missing or unknown session token", function(done) {
+        var requireSession = Speakap.middleware.requireSession({
+            store: new Speakap.MemoryStore()
+        });
+
+        requireSession({ headers: {} }, {}, function(error) {
+            assert.ok(error instanceof Speakap.middleware.InvalidSessionError);
+            assert.equal(error.status, 401);
+
+            requireSession({ headers: { "session-token": "unknown" } }, {}, function(error) {
+                assert.ok(error instanceof Speakap.middleware.InvalidSessionError);
+                done();
+            });
+        });
+    });
+
+    it("attaches the session to the state of Koa contexts", function() {
+        var store = new Speakap.MemoryStore();
+        var launch = Speakap.middleware.koa.launch({ appSecret: APP_SECRET, store: store });
+        var requireSession = Speakap.middleware.koa.requireSession({ store: store });
+
+        var launchCtx = { req: { readable: false }, request: { body: createLaunchParams() },
+                          state: {} };
+        return launch(launchCtx, function() {}).then(function() {
+            var ctx = {
+                get: function(header) {
+                    return (header === "Session-Token" ? launchCtx.state.session.id : "");
+                },
+                state: {}
+            };
+            return requireSession(ctx, function() {}).then(function() {
+                assert.equal(ctx.state.session.userEID, "0000000000000002");
+            });
+        });
+    });
+
+    [
+        "sessions",
+        "middleware"
+        , "outbox"
+    ].forEach(function(module) {
+        it("works when " + module + ".js is loaded before speakap.js", function() {
+            childProcess.execFileSync(process.execPath, ["-e", [
+                "require('./" + module + "');",
+                "var Speakap = require('./speakap');",
+                "var store = new Speakap.MemoryStore();",
+                "Speakap.middleware.launch({ appSecret: 'secret', store: store });"
+                , "new Speakap.outbox.Outbox({ api: {} });"
+            ].join("\n")], { cwd: path.join(__dirname, ".."), stdio: "pipe" });
+        });
+    });
+});
@@ -0,0 +1,176 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var http = require("http");
+var os = require("os");
+var path = require("path");
+var stream = require("stream");
+
+var Speakap = require("../speakap");
+
+describe("API.upload()", function() {
+
+    var server;
+    var requests;
+    var speakapApi;
+
+    beforeEach(function(done) {
+        requests = [];
+
+        // records the requests, and replies 503 to requests to /unavailable/
+        server = http.createServer(function(req, res) {
+            var chunks = [];
+            req.on("data", function(chunk) { chunks.push(chunk); });
+            req.on("end", function() {
+                requests.push({ headers: req.headers, body: Buffer.concat(chunks) });
+
+                var status = (req.url === "/unavailable/" ? 503 : 201);
+                res.writeHead(status, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ code: status, message: "Done" }));
+            });
+        });
+        server.listen(0, "127.0.0.1", function() {
+            speakapApi = new Speakap.API({
+                baseUrl: "http://127.0.0.1:" + server.address().port,
+                appId: "000a000000000006",
+                appSecret: "legless lizards",
+                proxy: false,
+                retry: { minDelay: 1 }
+            });
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    it("sends fields and buffers with a Content-Length and reports progress", function() {
+        var progress = [];
+
+        return speakapApi.upload("/files/", {
+            fields: { description: "Schedule", tags: ["a", "b"] },
+            files: { file: { buffer: Buffer.from("hello"), filename: "schedule.pdf" } }
+        }, {
+            onProgress: function(event) {
+                progress.push(event);
+            }
+        }).then(function() {
+            var request = requests[0];
+            var body = request.body.toString("utf8");
+            var boundary = /boundary=(.+)$/.exec(request.headers["content-type"])[1];
+
+            assert.equal(request.headers["content-length"], String(request.body.length));
+            assert.equal(body.split("name=\"tags\"").length, 3);
+            assert.ok(body.indexOf("Content-Disposition: form-data; name=\"description\"\r\n\r\n" +
+                                   "Schedule\r\n") > -1);
+            assert.ok(body.indexOf("Content-Disposition: form-data; name=\"file\"; " +
+                                   "filename=\"schedule.pdf\"\r\n" +
+                                   "Content-Type: application/pdf\r\n\r\nhello\r\n") > -1);
+            assert.ok(body.endsWith("--" + boundary + "--\r\n"));
+
+            var last = progress[progress.length - 1];
+            assert.deepEqual(last, { loaded: request.body.length, total: request.body.length });
+            progress.reduce(function(loaded, event) {
+                assert.ok(event.loaded > loaded);
+                return event.loaded;
+            }, 0);
+        });
+    });
+
+    it("sends streams of unknown size using chunked transfer encoding", function() {
+        var progress = [];
+
+        return speakapApi.upload("/files/", {
+            files: { file: stream.Readable.from([Buffer.from("hel"), Buffer.from("lo")]) }
+        }, {
+            onProgress: function(event) {
+                progress.push(event);
+            }
+        }).then(function() {
+            var request = requests[0];
+            assert.equal(request.headers["content-length"], undefined);
+            assert.equal(request.headers["transfer-encoding"], "chunked");
+            assert.ok(request.body.toString("utf8").indexOf("filename=\"file\"\r\n" +
+                                                            "Content-Type: application/" +
+                                                            "octet-stream\r\n\r\nhello\r\n") > -1);
+
+            var last = progress[progress.length - 1];
+            assert.deepEqual(last, { loaded: request.body.length, total: undefined });
+        });
+    });
+
+    it("sends streams with a Content-Length if their size is given", function() {
+        return speakapApi.upload("/files/", {
+            files: {
+                file: {
+                    stream: stream.Readable.from([Buffer.from("hello")]),
+                    size: 5,
+                    filename: "notes.txt"
+                }
+            }
+        }).then(function() {
+            var request = requests[0];
+            assert.equal(request.headers["content-length"], String(request.body.length));
+            assert.ok(request.body.toString("utf8").indexOf("Content-Type: text/plain") > -1);
+        });
+    });
+
+    describe("files given by path", function() {
+
+        var filePath;
+
+        beforeEach(function() {
+            filePath = path.join(os.tmpdir(), "speakap-upload-" + process.pid + ".txt");
+            fs.writeFileSync(filePath, "hello");
+        });
+
+        afterEach(function() {
+            fs.unlinkSync(filePath);
+        });
+
+        it("sends the file with its size and name", function() {
+            return speakapApi.upload("/files/", { files: { file: filePath } }).then(function() {
+                var request = requests[0];
+                var body = request.body.toString("utf8");
+                assert.equal(request.headers["content-length"], String(request.body.length));
+                assert.ok(body.indexOf("filename=\"" + path.basename(filePath) + "\"\r\n" +
+                                       "Content-Type: text/plain\r\n\r\nhello\r\n") > -1);
+            });
+        });
+
+        it("fails without a request if the file doesn't exist", function() {
+            return speakapApi.upload("/files/", {
+                files: { file: filePath + ".missing" }
+            }).then(function() {
+                assert.fail("Expected the upload to fail");
+            }, function(error) {
+                assert.equal(error.code, "ENOENT");
+                assert.equal(requests.length, 0);
+            });
+        });
+    });
+
+    it("retries uploads of buffers, but not of streams", function() {
+        var options = { retry: { methods: ["POST"], maxAttempts: 2 } };
+
+        return speakapApi.upload("/unavailable/", {
+            files: { file: Buffer.from("hello") }
+        }, options).then(function() {
+            assert.fail("Expected the upload to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(requests.length, 2);
+
+            return speakapApi.upload("/unavailable/", {
+                files: { file: stream.Readable.from([Buffer.from("hello")]) }
+            }, options);
+        }).then(function() {
+            assert.fail("Expected the upload to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(requests.length, 3);
+        });
+    });
+});
@@ -0,0 +1,337 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Speakap = require("../speakap");
+var FakeSpeakapServer = require("../testing").FakeSpeakapServer;
+
+var Outbox = Speakap.outbox.Outbox;
+var FileOutboxStore = Speakap.outbox.FileOutboxStore;
+var MemoryOutboxStore = Speakap.outbox.MemoryOutboxStore;
+
+function delay(ms) {
+
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+describe("Outbox", function() {
+
+    var server;
+    var network;
+    var user;
+    var speakapApi;
+
+    function createAlert(key, body) {
+
+        return {
+            key: key,
+            type: "alert",
+            networkEid: network.EID,
+            data: { recipients: [{ type: "user", EID: user.EID }], body: body || "Hello" }
+        };
+    }
+
+    beforeEach(function() {
+        server = new FakeSpeakapServer();
+        return server.start().then(function() {
+            network = server.addNetwork({ name: "Acme" });
+            user = server.addUser(network.EID, { fullName: "Jane Doe" });
+            speakapApi = server.createClient({ retry: { maxAttempts: 1 } });
+        });
+    });
+
+    afterEach(function() {
+        return server.stop();
+    });
+
+    it("delivers a notification whose key is enqueued more than once only once", function() {
+        var outbox = new Outbox({ api: speakapApi });
+
+        return outbox.enqueue(createAlert("schedule-1", "First")).then(function(notification) {
+            assert.equal(notification.status, "pending");
+
+            return outbox.enqueue(createAlert("schedule-1", "Second"));
+        }).then(function(notification) {
+            assert.equal(notification.data.body, "First");
+
+            return outbox.flush();
+        }).then(function() {
+            return outbox.enqueue(createAlert("schedule-1", "Third"));
+        }).then(function(notification) {
+            assert.equal(notification.status, "delivered");
+
+            return outbox.flush();
+        }).then(function() {
+            var alerts = server.getAlerts(network.EID);
+            assert.equal(alerts.length, 1);
+            assert.equal(alerts[0].body, "First");
+        });
+    });
+
+    it("retries notifications that fail with a transient error", function() {
+        var outbox = new Outbox({ api: speakapApi, minDelay: 0 });
+        server.fail({ method: "POST", path: /\/alerts\//, status: 503 });
+
+        return outbox.enqueue(createAlert("schedule-1")).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.status("schedule-1");
+        }).then(function(notification) {
+            assert.equal(notification.status, "pending");
+            assert.equal(notification.attempts, 1);
+            assert.equal(notification.lastError.status, 503);
+            assert.equal(server.getAlerts(network.EID).length, 0);
+
+            return outbox.flush();
+        }).then(function() {
+            return outbox.status("schedule-1");
+        }).then(function(notification) {
+            assert.equal(notification.status, "delivered");
+            assert.equal(notification.attempts, 2);
+            assert.equal(notification.lastError, undefined);
+            assert.equal(server.getAlerts(network.EID).length, 1);
+        });
+    });
+
+    [
+        ["the connection drops", { method: "POST", path: /\/alerts\//, disconnect: true }],
+        ["the API replies with status 500", { method: "POST", path: /\/alerts\//, status: 500 }]
+    ].forEach(function(entry) {
+        it("marks notifications as failed if " + entry[0] + " after sending", function() {
+            var outbox = new Outbox({ api: speakapApi, minDelay: 0 });
+            server.fail(entry[1]);
+
+            return outbox.enqueue(createAlert("schedule-1")).then(function() {
+                return outbox.flush();
+            }).then(function() {
+                return outbox.flush();
+            }).then(function() {
+                return outbox.status("schedule-1");
+            }).then(function(notification) {
+                assert.equal(notification.status, "failed");
+                assert.equal(server.requests.length, 1);
+            });
+        });
+
+        it("retries notifications if " + entry[0] + " when retryAmbiguous is true", function() {
+            var outbox = new Outbox({ api: speakapApi, minDelay: 0, retryAmbiguous: true });
+            server.fail(entry[1]);
+
+            return outbox.enqueue(createAlert("schedule-1")).then(function() {
+                return outbox.flush();
+            }).then(function() {
+                return outbox.flush();
+            }).then(function() {
+                return outbox.status("schedule-1");
+            }).then(function(notification) {
+                assert.equal(notification.status, "delivered");
+                assert.equal(notification.attempts, 2);
+            });
+        });
+    });
+
+    it("retries notifications if the API can't be reached", function() {
+        var outbox = new Outbox({ api: speakapApi, minDelay: 0 });
+
+        return outbox.enqueue(createAlert("schedule-1")).then(function() {
+            return server.stop();
+        }).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.status("schedule-1");
+        }).then(function(notification) {
+            assert.equal(notification.status, "pending");
+            assert.equal(notification.lastError.code, -1000);
+
+            return server.start();
+        });
+    });
+
+    it("marks notifications as failed once maxAttempts is reached", function() {
+        var outbox = new Outbox({ api: speakapApi, minDelay: 0, maxAttempts: 2 });
+        server.fail({ method: "POST", path: /\/alerts\//, status: 503, times: Infinity });
+
+        return outbox.enqueue(createAlert("schedule-1")).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.status("schedule-1");
+        }).then(function(notification) {
+            assert.equal(notification.status, "failed");
+            assert.equal(notification.attempts, 2);
+            assert.equal(server.requests.length, 2);
+        });
+    });
+
+    it("marks notifications that fail with a permanent error as failed right away", function() {
+        var outbox = new Outbox({ api: speakapApi, minDelay: 0 });
+
+        return outbox.enqueue({
+            key: "schedule-1",
+            type: "message",
+            networkEid: network.EID,
+            data: { messageType: "update", recipient: { type: "user", EID: user.EID } }
+        }).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return outbox.list("failed");
+        }).then(function(notifications) {
+            assert.equal(notifications.length, 1);
+            assert.equal(notifications[0].attempts, 1);
+            assert.equal(notifications[0].lastError.status, 422);
+            assert.equal(server.requests.length, 1);
+        });
+    });
+
+    it("retries notifications whose delivery was interrupted", function() {
+        var store = new MemoryOutboxStore();
+        var notification = createAlert("schedule-1");
+        notification.status = "delivering";
+        notification.attempts = 1;
+        notification.createdAt = Date.now();
+
+        return new Promise(function(resolve) {
+            store.add(notification, resolve);
+        }).then(function() {
+            var outbox = new Outbox({ api: speakapApi, store: store });
+            return outbox.start().then(function() {
+                return outbox.stop();
+            }).then(function() {
+                return outbox.status("schedule-1");
+            }).then(function(notification) {
+                assert.equal(notification.status, "pending");
+
+                return outbox.flush();
+            });
+        }).then(function() {
+            assert.equal(server.getAlerts(network.EID).length, 1);
+        });
+    });
+
+    it("marks interrupted notifications as failed if retryInterrupted is false", function() {
+        var store = new MemoryOutboxStore();
+        var notification = createAlert("schedule-1");
+        notification.status = "delivering";
+        notification.attempts = 1;
+        notification.createdAt = Date.now();
+
+        var outbox = new Outbox({ api: speakapApi, store: store, retryInterrupted: false });
+        return new Promise(function(resolve) {
+            store.add(notification, resolve);
+        }).then(function() {
+            return outbox.start();
+        }).then(function() {
+            return outbox.stop();
+        }).then(function() {
+            return outbox.status("schedule-1");
+        }).then(function(notification) {
+            assert.equal(notification.status, "failed");
+            assert.equal(notification.lastError.message, "Delivery was interrupted");
+
+            return outbox.flush();
+        }).then(function() {
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    it("removes delivered notifications once the retention has passed", function() {
+        var outbox = new Outbox({ api: speakapApi, retention: 1 });
+
+        return outbox.enqueue(createAlert("schedule-1")).then(function() {
+            return outbox.flush();
+        }).then(function() {
+            return delay(10);
+        }).then(function() {
+            return outbox.start();
+        }).then(function() {
+            return delay(20);
+        }).then(function() {
+            return outbox.stop();
+        }).then(function() {
+            return outbox.list();
+        }).then(function(notifications) {
+            assert.deepEqual(notifications, []);
+
+            return outbox.enqueue(createAlert("schedule-1"));
+        }).then(function(notification) {
+            assert.equal(notification.status, "pending");
+        });
+    });
+
+    describe("FileOutboxStore", function() {
+
+        var filePath;
+
+        beforeEach(function() {
+            filePath = path.join(os.tmpdir(), "speakap-outbox-" + process.pid + ".json");
+        });
+
+        afterEach(function() {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        it("keeps notifications when it is reloaded", function() {
+            var outbox = new Outbox({
+                api: speakapApi,
+                store: new FileOutboxStore({ path: filePath })
+            });
+
+            return outbox.enqueue(createAlert("schedule-1")).then(function() {
+                var reloadedOutbox = new Outbox({
+                    api: speakapApi,
+                    store: new FileOutboxStore({ path: filePath })
+                });
+
+                return reloadedOutbox.enqueue(createAlert("schedule-1", "Second")).then(function() {
+                    return reloadedOutbox.list();
+                }).then(function(notifications) {
+                    assert.equal(notifications.length, 1);
+                    assert.equal(notifications[0].data.body, "Hello");
+
+                    return reloadedOutbox.flush();
+                });
+            }).then(function() {
+                assert.equal(server.getAlerts(network.EID).length, 1);
+                assert.ok(!fs.existsSync(filePath + ".tmp"));
+
+                var stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+                assert.equal(stored[0].status, "delivered");
+            });
+        });
+
+        it("doesn't keep a notification that could not be written", function() {
+            var outbox = new Outbox({
+                api: speakapApi,
+                store: new FileOutboxStore({ path: path.join(filePath, "missing", "outbox.json") })
+            });
+
+            return outbox.enqueue(createAlert("schedule-1")).then(function() {
+                assert.fail("Expected enqueueing to fail");
+            }, function(error) {
+                assert.equal(error.code, "ENOENT");
+
+                return outbox.status("schedule-1");
+            }).then(function(notification) {
+                assert.equal(notification, undefined);
+
+                return outbox.enqueue(createAlert("schedule-1")).then(function() {
+                    assert.fail("Expected enqueueing to fail again");
+                }, function(error) {
+                    assert.equal(error.code, "ENOENT");
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+"use strict";
+
+var assert = require("assert");
+var http = require("http");
+var url = require("url");
+
+var Speakap = require("../speakap");
+var FakeSpeakapServer = require("../testing").FakeSpeakapServer;
+
+describe("API.paginate()", function() {
+
+    describe("by offset", function() {
+
+        var server;
+        var network;
+        var speakapApi;
+
+        beforeEach(function() {
+            server = new FakeSpeakapServer();
+            return server.start().then(function() {
+                network = server.addNetwork({ name: "Acme" });
+                ["Ann", "Bob", "Cid", "Dee", "Eve"].forEach(function(name) {
+                    server.addUser(network.EID, { fullName: name });
+                });
+                speakapApi = server.createClient({ retry: { maxAttempts: 1 } });
+            });
+        });
+
+        afterEach(function() {
+            return server.stop();
+        });
+
+        it("requests pages using offset and limit until a page is incomplete", function() {
+            var path = "/networks/" + network.EID + "/users/?embed=network";
+
+            return speakapApi.paginate(path, { pageSize: 2 }).toArray().then(function(users) {
+                assert.deepEqual(users.map(function(user) {
+                    return user.fullName;
+                }), ["Ann", "Bob", "Cid", "Dee", "Eve"]);
+
+                assert.deepEqual(server.requests.map(function(request) {
+                    return request.query;
+                }), [
+                    { embed: "network", offset: "0", limit: "2" },
+                    { embed: "network", offset: "2", limit: "2" },
+                    { embed: "network", offset: "4", limit: "2" }
+                ]);
+            });
+        });
+
+        it("stops at an empty page", function() {
+            var path = "/networks/" + network.EID + "/users/";
+
+            return speakapApi.paginate(path, { pageSize: 5 }).toArray().then(function(users) {
+                assert.equal(users.length, 5);
+                assert.equal(server.requests.length, 2);
+            });
+        });
+
+        it("stops requesting pages once maxItems is reached", function() {
+            var path = "/networks/" + network.EID + "/users/";
+            var paginator = speakapApi.paginate(path, { pageSize: 2, maxItems: 3 });
+
+            return paginator.toArray().then(function(users) {
+                assert.equal(users.length, 3);
+                assert.equal(server.requests.length, 2);
+            });
+        });
+
+        it("follows the async iterator protocol", function() {
+            var paginator = speakapApi.paginate("/networks/" + network.EID + "/users/");
+
+            assert.strictEqual(paginator[Symbol.asyncIterator](), paginator);
+            return paginator.next().then(function(iteration) {
+                assert.equal(iteration.done, false);
+                assert.equal(iteration.value.fullName, "Ann");
+
+                return paginator["return"]();
+            }).then(function(iteration) {
+                assert.equal(iteration.done, true);
+
+                return paginator.next();
+            }).then(function(iteration) {
+                assert.deepEqual(iteration, { value: undefined, done: true });
+                assert.equal(server.requests.length, 1);
+            });
+        });
+
+        it("rejects if a page can't be retrieved", function() {
+            server.fail({ status: 404 });
+
+            var paginator = speakapApi.paginate("/networks/" + network.EID + "/users/");
+            return paginator.toArray().then(function() {
+                assert.fail("Expected the iteration to fail");
+            }, function(error) {
+                assert.ok(error instanceof Speakap.NotFoundError);
+            });
+        });
+    });
+
+    describe("by links", function() {
+
+        var server;
+        var paths;
+        var speakapApi;
+
+        beforeEach(function(done) {
+            paths = [];
+
+            // serves three pages that link to each other, with absolute URLs that include the
+            // base path of the API
+            server = http.createServer(function(req, res) {
+                paths.push(req.url);
+
+                var query = new url.URL(req.url, "http://localhost").searchParams;
+                var page = parseInt(query.get("page"), 10) || 1;
+                var reply = { _embedded: { items: [page * 10, page * 10 + 1] }, _links: {} };
+                if (page < 3) {
+                    reply._links.next = {
+                        href: "http://127.0.0.1:" + server.address().port + "/api/things/?page=" +
+                              (page + 1)
+                    };
+                }
+
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(reply));
+            });
+            server.listen(0, "127.0.0.1", function() {
+                speakapApi = new Speakap.API({
+                    baseUrl: "http://127.0.0.1:" + server.address().port + "/api",
+                    appId: "000a000000000006",
+                    appSecret: "legless lizards",
+                    proxy: false
+                });
+                done();
+            });
+        });
+
+        afterEach(function(done) {
+            server.close(done);
+        });
+
+        it("follows the next links of the replies", function() {
+            return speakapApi.paginate("/things/").toArray().then(function(items) {
+                assert.deepEqual(items, [10, 11, 20, 21, 30, 31]);
+                assert.deepEqual(paths, [
+                    "/api/things/?offset=0&limit=50",
+                    "/api/things/?page=2",
+                    "/api/things/?page=3"
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Speakap = require("../speakap");
+var testing = require("../testing");
+
+var FakeSpeakapServer = testing.FakeSpeakapServer;
+var Recorder = testing.Recorder;
+
+var APP_SECRET = "legless lizards";
+
+var SECRETS = ["user-token-1234"];
+
+describe("Recorder", function() {
+
+    var server;
+    var network;
+    var user;
+    var fixture;
+
+    beforeEach(function() {
+        fixture = path.join(os.tmpdir(), "speakap-recorder-" + process.pid, "fixture.json");
+
+        server = new FakeSpeakapServer({ appSecret: APP_SECRET });
+        return server.start().then(function() {
+            network = server.addNetwork({ name: "Acme" });
+            user = server.addUser(network.EID, { fullName: "Jane Doe" });
+        });
+    });
+
+    afterEach(function() {
+        fs.rmSync(path.dirname(fixture), { recursive: true, force: true });
+        return server.stop();
+    });
+
+    function record() {
+
+        var speakapApi = server.createClient();
+        var recorder = new Recorder({
+            fixture: fixture,
+            mode: "record",
+            secrets: SECRETS
+        }).attach(speakapApi);
+
+        return speakapApi.network(network.EID).messages.create({
+            body: "Token user-token-1234 and secret " + APP_SECRET,
+            messageType: "update",
+            recipient: { type: "user", EID: user.EID }
+        }).then(function() {
+            return speakapApi.get("/networks/" + network.EID + "/users/" + user.EID + "/");
+        }).then(function() {
+            return recorder.stop();
+        });
+    }
+
+    function createReplayClient() {
+
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        var recorder = new Recorder({ fixture: fixture, secrets: SECRETS }).attach(speakapApi);
+        return { api: speakapApi, recorder: recorder };
+    }
+
+    it("saves requests and replies with all secrets scrubbed", function() {
+        return record().then(function() {
+            var json = fs.readFileSync(fixture, "utf8");
+            assert.equal(json.indexOf(APP_SECRET), -1);
+            assert.equal(json.indexOf("user-token-1234"), -1);
+
+            var interactions = JSON.parse(json).interactions;
+            assert.equal(interactions.length, 2);
+
+            var request = interactions[0].request;
+            assert.equal(request.method, "POST");
+            assert.equal(request.path, "/networks/" + network.EID + "/messages/");
+            assert.equal(request.headers.Authorization, "Bearer [REDACTED]");
+            assert.equal(request.body.body, "Token [REDACTED] and secret [REDACTED]");
+            assert.equal(interactions[0].response.status, 201);
+            assert.equal(interactions[1].response.body.fullName, "Jane Doe");
+        });
+    });
+
+    it("replays recorded replies without sending requests", function() {
+        return record().then(function() {
+            server.reset();
+
+            var replay = createReplayClient();
+            var networkApi = replay.api.network(network.EID);
+            return networkApi.messages.create({
+                body: "Token user-token-1234 and secret " + APP_SECRET,
+                messageType: "update",
+                recipient: { type: "user", EID: user.EID }
+            }).then(function(message) {
+                assert.ok(message.EID);
+
+                return networkApi.users.get(user.EID);
+            }).then(function(result) {
+                assert.equal(result.fullName, "Jane Doe");
+                assert.equal(server.requests.length, 0);
+
+                return replay.recorder.stop();
+            });
+        });
+    });
+
+    it("fails unmatched requests right away and makes stop() fail", function() {
+        return record().then(function() {
+            var replay = createReplayClient();
+            var userPath = "/networks/" + network.EID + "/users/" + user.EID + "/";
+
+            return replay.api.get(userPath).then(function() {
+                // every recorded reply is replayed only once
+                return replay.api.get(userPath);
+            }).then(function() {
+                assert.fail("Expected the request to fail");
+            }, function(error) {
+                assert.ok(error instanceof Recorder.UnmatchedRequestError);
+                assert.ok(error instanceof Speakap.SpeakapApiError);
+                assert.equal(error.code, -1005);
+                assert.equal(error.attempts, 1);
+
+                return replay.recorder.stop();
+            }).then(function() {
+                assert.fail("Expected stop() to fail");
+            }, function(error) {
+                assert.equal(error.message, "Unmatched requests: GET " + userPath);
+            });
+        });
+    });
+
+    it("throws if the fixture of a replay doesn't exist", function() {
+        assert.throws(function() {
+            new Recorder({ fixture: fixture });
+        }, /ENOENT/);
+    });
+});
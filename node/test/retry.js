@@ -0,0 +1,120 @@
+"use strict";
+
+var assert = require("assert");
+
+var Speakap = require("../speakap");
+var FakeSpeakapServer = require("../testing").FakeSpeakapServer;
+
+describe("API retries", function() {
+
+    var server;
+    var network;
+    var user;
+
+    function getUser(speakapApi, options) {
+
+        return speakapApi.get("/networks/" + network.EID + "/users/" + user.EID + "/", options);
+    }
+
+    beforeEach(function() {
+        server = new FakeSpeakapServer();
+        return server.start().then(function() {
+            network = server.addNetwork({ name: "Acme" });
+            user = server.addUser(network.EID, { fullName: "Jane Doe" });
+        });
+    });
+
+    afterEach(function() {
+        return server.stop();
+    });
+
+    it("retries requests that fail with a transient server error", function() {
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        server.fail({ method: "GET", status: 503, times: 2 });
+
+        return getUser(speakapApi).then(function(result) {
+            assert.equal(result.fullName, "Jane Doe");
+            assert.equal(server.requests.length, 3);
+        });
+    });
+
+    it("retries requests that fail with a network error", function() {
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        server.fail({ method: "GET", disconnect: true });
+
+        return getUser(speakapApi).then(function(result) {
+            assert.equal(result.fullName, "Jane Doe");
+            assert.equal(server.requests.length, 2);
+        });
+    });
+
+    it("gives up after maxAttempts", function() {
+        var speakapApi = server.createClient({ retry: { maxAttempts: 2, minDelay: 1 } });
+        server.fail({ method: "GET", status: 502, times: Infinity });
+
+        return getUser(speakapApi).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(error.status, 502);
+            assert.equal(server.requests.length, 2);
+        });
+    });
+
+    it("doesn't retry requests that fail with other statuses", function() {
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        server.fail({ method: "GET", status: 404 });
+
+        return getUser(speakapApi).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.NotFoundError);
+            assert.equal(server.requests.length, 1);
+        });
+    });
+
+    it("doesn't retry POST requests unless the retry policy includes them", function() {
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        var path = "/networks/" + network.EID + "/alerts/";
+        var data = { recipients: [{ type: "user", EID: user.EID }], body: "Hello" };
+        server.fail({ method: "POST", status: 503, times: 2 });
+
+        return speakapApi.post(path, data).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(server.requests.length, 1);
+
+            return speakapApi.post(path, data, { retry: { methods: ["POST"] } });
+        }).then(function() {
+            assert.equal(server.requests.length, 3);
+            assert.equal(server.getAlerts(network.EID).length, 1);
+        });
+    });
+
+    it("doesn't retry requests with the retry option set to false", function() {
+        var speakapApi = server.createClient({ retry: { minDelay: 1 } });
+        server.fail({ method: "GET", status: 503 });
+
+        return getUser(speakapApi, { retry: false }).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(server.requests.length, 1);
+        });
+    });
+
+    it("waits for the time given in a Retry-After header", function() {
+        this.timeout(5000);
+
+        var speakapApi = server.createClient({ retry: { minDelay: 1, maxDelay: 1 } });
+        server.fail({ method: "GET", status: 503, headers: { "Retry-After": "1" } });
+
+        var startTime = Date.now();
+        return getUser(speakapApi).then(function(result) {
+            assert.equal(result.fullName, "Jane Doe");
+            assert.ok(Date.now() - startTime >= 1000);
+            assert.equal(server.requests.length, 2);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+var assert = require("assert");
+
+var Speakap = require("../speakap");
+
+var CONTEXT = {
+    appId: "000a000000000006",
+    networkEID: "0000000000000001",
+    userEID: "0000000000000002",
+    role: "user",
+    locale: "en-US",
+    appData: "foo=bar",
+    signedRequest: "appData=foo%3Dbar&appId=000a000000000006"
+};
+
+var SECRET = "a random string that is at least 32 characters long";
+
+describe("StatelessSessionStore", function() {
+
+    it("requires a secret", function() {
+        assert.throws(function() {
+            new Speakap.sessions.StatelessSessionStore({});
+        }, /requires a secret/);
+    });
+
+    it("returns the session for a valid token", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+
+        store.createSession(CONTEXT, function(error, session) {
+            assert.ifError(error);
+            assert.equal(session.appData, CONTEXT.appData);
+
+            store.getSession(session.id, function(error, storedSession) {
+                assert.ifError(error);
+                assert.deepEqual(storedSession, {
+                    id: session.id,
+                    appId: CONTEXT.appId,
+                    networkEID: CONTEXT.networkEID,
+                    userEID: CONTEXT.userEID,
+                    role: CONTEXT.role,
+                    locale: CONTEXT.locale
+                });
+                done();
+            });
+        });
+    });
+
+    it("accepts tokens created by another instance with the same secret", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+        var otherStore = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+
+        store.createSession(CONTEXT, function(error, session) {
+            otherStore.getSession(session.id, function(error, storedSession) {
+                assert.ifError(error);
+                assert.equal(storedSession.userEID, CONTEXT.userEID);
+                done();
+            });
+        });
+    });
+
+    it("rejects a tampered token", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+
+        store.createSession(CONTEXT, function(error, session) {
+            var parts = session.id.split(".");
+            var payload = JSON.parse(Buffer.from(parts[0], "base64").toString("utf8"));
+            payload.role = "admin";
+            var tamperedPayload = Buffer.from(JSON.stringify(payload), "utf8").toString("base64")
+                                        .replace(/\+/g, "-").replace(/\//g, "_")
+                                        .replace(/=+$/, "");
+
+            store.getSession(tamperedPayload + "." + parts[1], function(error, storedSession) {
+                assert.ifError(error);
+                assert.equal(storedSession, undefined);
+                done();
+            });
+        });
+    });
+
+    it("rejects a token signed with another secret", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+        var otherStore = new Speakap.sessions.StatelessSessionStore({ secret: SECRET + "!" });
+
+        store.createSession(CONTEXT, function(error, session) {
+            otherStore.getSession(session.id, function(error, storedSession) {
+                assert.ifError(error);
+                assert.equal(storedSession, undefined);
+                done();
+            });
+        });
+    });
+
+    it("rejects a malformed token", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET });
+
+        store.getSession("not a token", function(error, session) {
+            assert.ifError(error);
+            assert.equal(session, undefined);
+            done();
+        });
+    });
+
+    it("rejects an expired token", function(done) {
+        var store = new Speakap.sessions.StatelessSessionStore({ secret: SECRET, ttl: 1 });
+
+        store.createSession(CONTEXT, function(error, session) {
+            setTimeout(function() {
+                store.getSession(session.id, function(error, storedSession) {
+                    assert.ifError(error);
+                    assert.equal(storedSession, undefined);
+                    done();
+                });
+            }, 10);
+        });
+    });
+});
+
+describe("MemorySessionStore", function() {
+
+    it("returns the session for a known token", function(done) {
+        var store = new Speakap.sessions.MemorySessionStore();
+
+        store.createSession(CONTEXT, function(error, session) {
+            assert.ifError(error);
+
+            store.getSession(session.id, function(error, storedSession) {
+                assert.ifError(error);
+                assert.deepEqual(storedSession, session);
+                done();
+            });
+        });
+    });
+
+    it("returns nothing for an unknown token", function(done) {
+        var store = new Speakap.sessions.MemorySessionStore();
+
+        store.getSession("unknown", function(error, session) {
+            assert.ifError(error);
+            assert.equal(session, undefined);
+            done();
+        });
+    });
+});
@@ -0,0 +1,466 @@
+"use strict";
+
+var assert = require("assert");
+var crypto = require("crypto");
+var querystring = require("querystring");
+var _ = require("lodash");
+
+var Speakap = require("../speakap");
+
+var APP_ID = "000a000000000006";
+var APP_SECRET = "legless lizards";
+
+/**
+ * Returns the signature of the parameters, computed independently of the library.
+ */
+function getSignature(secret, params) {
+
+    var query = _.map(_.without(_.keys(params), "signature").sort(), function(key) {
+        return Speakap.percentEncode(key) + "=" + Speakap.percentEncode(params[key]);
+    }).join("&");
+
+    return crypto.createHmac("sha256", secret).update(query).digest("base64");
+}
+
+/**
+ * Returns the parameters of a signed request, with optional overrides, signed with the secret.
+ */
+function getSignedParams(secret, customParams) {
+
+    var params = _.extend({
+        appData: "",
+        appId: APP_ID,
+        issuedAt: new Date().toISOString(),
+        locale: "en-US",
+        role: "user",
+        networkEID: "0000000000000001",
+        userEID: "0000000000000002"
+    }, customParams);
+    params.signature = getSignature(secret, params);
+
+    return params;
+}
+
+/**
+ * Returns an ISO 8601 timestamp the given number of seconds from now.
+ */
+function secondsFromNow(seconds) {
+
+    return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+function createSignedRequest(config) {
+
+    return new Speakap.SignedRequest(_.extend({
+        appId: APP_ID,
+        appSecret: APP_SECRET,
+        signatureWindowSize: 60 * 1000,
+        clockSkew: 0
+    }, config));
+}
+
+describe("SignedRequest", function() {
+
+    it("requires an app secret", function() {
+        assert.throws(function() {
+            new Speakap.SignedRequest({ appId: APP_ID });
+        }, /without an app secret/);
+    });
+
+    describe("validateSignature()", function() {
+
+        [-59, -30, -1, 0].forEach(function(seconds) {
+            it("accepts a signed request issued " + -seconds + "s ago", function() {
+                var params = getSignedParams(APP_SECRET, { issuedAt: secondsFromNow(seconds) });
+
+                assert.deepEqual(createSignedRequest().validateSignature(params),
+                                 { secretIndex: 0 });
+            });
+        });
+
+        it("accepts a signed request given as query string", function() {
+            var params = getSignedParams(APP_SECRET);
+
+            assert.ok(createSignedRequest().validateSignature(
+                querystring.parse(Speakap.signedRequest(params))
+            ));
+        });
+
+        it("rejects a signed request signed with another secret", function() {
+            var params = getSignedParams("invalid secret");
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+        });
+
+        it("rejects a tampered signed request", function() {
+            var params = getSignedParams(APP_SECRET);
+            params.role = "admin";
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+        });
+
+        [-61, -24 * 60 * 60, -100 * 365 * 24 * 60 * 60].forEach(function(seconds) {
+            it("rejects a signed request issued " + -seconds + "s ago", function() {
+                var params = getSignedParams(APP_SECRET, { issuedAt: secondsFromNow(seconds) });
+
+                assert.throws(function() {
+                    createSignedRequest().validateSignature(params);
+                }, Speakap.ExpiredSignatureError);
+            });
+        });
+
+        [10, 61, 24 * 60 * 60].forEach(function(seconds) {
+            it("rejects a signed request issued " + seconds + "s in the future", function() {
+                var params = getSignedParams(APP_SECRET, { issuedAt: secondsFromNow(seconds) });
+
+                assert.throws(function() {
+                    createSignedRequest().validateSignature(params);
+                }, Speakap.ExpiredSignatureError);
+            });
+        });
+
+        it("accepts a signed request issued in the future within the clock skew", function() {
+            var params = getSignedParams(APP_SECRET, { issuedAt: secondsFromNow(3) });
+
+            assert.ok(createSignedRequest({ clockSkew: 5 * 1000 }).validateSignature(params));
+        });
+
+        it("rejects a signed request with an invalid issuedAt", function() {
+            var params = getSignedParams(APP_SECRET, { issuedAt: "yesterday" });
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.MalformedSignedRequestError);
+        });
+
+        it("rejects a signed request issued for another App", function() {
+            var params = getSignedParams(APP_SECRET, { appId: "000a000000000007" });
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.MalformedSignedRequestError);
+        });
+
+        it("rejects a signed request with missing parameters", function() {
+            var params = getSignedParams(APP_SECRET);
+            delete params.issuedAt;
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, function(error) {
+                return error instanceof Speakap.MalformedSignedRequestError &&
+                       /issuedAt/.test(error.message) && !/signature/.test(error.message);
+            });
+        });
+
+        it("rejects a signature that is not properly encoded", function() {
+            var params = getSignedParams(APP_SECRET);
+            params.signature = params.signature.replace(/=*$/, "") + "!";
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+        });
+
+        it("rejects a signed request with an unsupported signature version", function() {
+            var params = getSignedParams(APP_SECRET, { signatureVersion: "v0" });
+
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.MalformedSignedRequestError);
+        });
+
+        it("uses the signature scheme registered for the signature version", function() {
+            Speakap.registerSignatureScheme("test-sha512", {
+                canonicalize: Speakap.signatureSchemes.v1.canonicalize,
+                digest: function(string, appSecret) {
+                    return crypto.createHmac("sha512", appSecret).update(string).digest();
+                },
+                encode: Speakap.signatureSchemes.v1.encode,
+                decode: Speakap.signatureSchemes.v1.decode
+            });
+
+            var params = getSignedParams(APP_SECRET, { signatureVersion: "test-sha512" });
+            assert.throws(function() {
+                createSignedRequest().validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+
+            params.signature = crypto.createHmac("sha512", APP_SECRET)
+                                     .update(Speakap.signatureSchemes.v1.canonicalize(params))
+                                     .digest("base64");
+            assert.ok(createSignedRequest().validateSignature(params));
+        });
+
+        it("rejects signature schemes that are incomplete", function() {
+            assert.throws(function() {
+                Speakap.registerSignatureScheme("v0", { digest: _.noop });
+            }, /should implement/);
+        });
+
+        it("accepts signed requests signed with a previous secret while rotating", function() {
+            var params = getSignedParams("previous secret");
+
+            var signedRequest = createSignedRequest({
+                appSecret: [APP_SECRET, "previous secret"]
+            });
+
+            assert.deepEqual(signedRequest.validateSignature(params), { secretIndex: 1 });
+        });
+
+        it("rejects signed requests signed with a previous secret that has expired", function() {
+            var params = getSignedParams("previous secret");
+
+            var signedRequest = createSignedRequest({
+                appSecret: [
+                    APP_SECRET,
+                    { secret: "previous secret", validUntil: Date.now() - 1000 }
+                ]
+            });
+
+            assert.throws(function() {
+                signedRequest.validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+        });
+
+        it("uses the secrets given to setAppSecret()", function() {
+            var params = getSignedParams("new secret");
+
+            var signedRequest = createSignedRequest();
+            assert.throws(function() {
+                signedRequest.validateSignature(params);
+            }, Speakap.InvalidSignatureError);
+
+            signedRequest.setAppSecret(["new secret", APP_SECRET]);
+            assert.deepEqual(signedRequest.validateSignature(params), { secretIndex: 0 });
+        });
+    });
+
+    describe("validate()", function() {
+
+        it("accepts a signed request once when a replay store is given", function(done) {
+            var params = getSignedParams(APP_SECRET);
+
+            var signedRequest = createSignedRequest({ replayStore: new Speakap.MemoryStore() });
+            signedRequest.validate(params, function(error, result) {
+                assert.ifError(error);
+                assert.deepEqual(result, { secretIndex: 0 });
+
+                signedRequest.validate(params, function(error) {
+                    assert.ok(error instanceof Speakap.ReplayedSignatureError);
+                    done();
+                });
+            });
+        });
+
+        it("accepts a signed request repeatedly without a replay store", function(done) {
+            var params = getSignedParams(APP_SECRET);
+
+            var signedRequest = createSignedRequest();
+            signedRequest.validate(params, function(error) {
+                assert.ifError(error);
+
+                signedRequest.validate(params, function(error) {
+                    assert.ifError(error);
+                    done();
+                });
+            });
+        });
+
+        it("rejects a replayed signed request validated concurrently", function(done) {
+            var params = getSignedParams(APP_SECRET);
+
+            var memoryStore = new Speakap.MemoryStore();
+            var replayStore = {
+                add: function(key, value, ttl, callback) {
+                    setTimeout(function() {
+                        memoryStore.add(key, value, ttl, callback);
+                    }, 5);
+                }
+            };
+
+            var signedRequest = createSignedRequest({ replayStore: replayStore });
+            var errors = [];
+            function onValidated(error) {
+                errors.push(error);
+                if (errors.length === 2) {
+                    assert.equal(_.filter(errors, function(error) {
+                        return error instanceof Speakap.ReplayedSignatureError;
+                    }).length, 1);
+                    assert.equal(_.filter(errors, _.isNull).length, 1);
+                    done();
+                }
+            }
+            signedRequest.validate(params, onValidated);
+            signedRequest.validate(params, onValidated);
+        });
+
+        it("passes validation errors to the callback", function(done) {
+            var params = getSignedParams("invalid secret");
+
+            createSignedRequest().validate(params, function(error) {
+                assert.ok(error instanceof Speakap.InvalidSignatureError);
+                done();
+            });
+        });
+    });
+});
+
+describe("MemoryStore", function() {
+
+    it("returns stored values until they expire", function(done) {
+        var store = new Speakap.MemoryStore();
+
+        store.set("key", "value", 5, function(error) {
+            assert.ifError(error);
+            store.get("key", function(error, value) {
+                assert.equal(value, "value");
+
+                setTimeout(function() {
+                    store.get("key", function(error, value) {
+                        assert.equal(value, undefined);
+                        done();
+                    });
+                }, 10);
+            });
+        });
+    });
+
+    it("evicts the least recently used entry when full", function() {
+        var store = new Speakap.MemoryStore({ maxSize: 2 });
+
+        store.set("a", 1);
+        store.set("b", 2);
+        store.get("a");
+        store.set("c", 3);
+
+        store.get("b", function(error, value) {
+            assert.equal(value, undefined);
+        });
+        store.get("a", function(error, value) {
+            assert.equal(value, 1);
+        });
+    });
+
+    it("adds values only if the key is new", function() {
+        var store = new Speakap.MemoryStore();
+
+        store.add("key", 1, 1000, function(error, added) {
+            assert.strictEqual(added, true);
+        });
+        store.add("key", 2, 1000, function(error, added) {
+            assert.strictEqual(added, false);
+        });
+        store.get("key", function(error, value) {
+            assert.equal(value, 1);
+        });
+    });
+});
+
+describe("parseSignedRequest()", function() {
+
+    it("returns the context of a valid signed request", function() {
+        var params = getSignedParams(APP_SECRET, { appData: "{\"view\":\"settings\"}" });
+
+        var context = Speakap.parseSignedRequest(Speakap.signedRequest(params), {
+            appId: APP_ID,
+            appSecret: APP_SECRET
+        });
+
+        assert.equal(context.appId, APP_ID);
+        assert.equal(context.networkEID, params.networkEID);
+        assert.equal(context.userEID, params.userEID);
+        assert.equal(context.role, "user");
+        assert.equal(context.locale, "en-US");
+        assert.equal(context.issuedAt.getTime(), new Date(params.issuedAt).getTime());
+        assert.deepEqual(context.appData, { view: "settings" });
+        assert.equal(context.signedRequest, Speakap.signedRequest(params));
+    });
+
+    it("passes app data that is not JSON on unmodified", function() {
+        var params = getSignedParams(APP_SECRET, { appData: "view=settings" });
+
+        var context = Speakap.parseSignedRequest(params, { appSecret: APP_SECRET });
+
+        assert.equal(context.appData, "view=settings");
+    });
+
+    it("throws if the signed request is invalid", function() {
+        var params = getSignedParams("invalid secret");
+
+        assert.throws(function() {
+            Speakap.parseSignedRequest(params, { appSecret: APP_SECRET });
+        }, Speakap.InvalidSignatureError);
+    });
+
+    it("passes the context to the callback if one is given", function(done) {
+        var params = getSignedParams(APP_SECRET);
+
+        Speakap.parseSignedRequest(params, { appSecret: APP_SECRET }, function(error, context) {
+            assert.ifError(error);
+            assert.equal(context.userEID, params.userEID);
+            done();
+        });
+    });
+});
+
+describe("createSignedRequest()", function() {
+
+    it("creates a signed request that passes validation", function() {
+        var launch = Speakap.createSignedRequest({
+            appId: APP_ID,
+            networkEID: "0000000000000001",
+            userEID: "0000000000000002",
+            role: "user",
+            locale: "en-US",
+            appData: ""
+        }, APP_SECRET);
+
+        assert.equal(launch.params.signature, getSignature(APP_SECRET, launch.params));
+        assert.ok(createSignedRequest().validateSignature(launch.params));
+        assert.deepEqual(querystring.parse(launch.signedRequest), launch.params);
+    });
+
+    it("signs with the current secret while rotating", function() {
+        var launch = Speakap.createSignedRequest(getSignedParams(APP_SECRET), [
+            "new secret",
+            APP_SECRET
+        ]);
+
+        assert.deepEqual(createSignedRequest({
+            appSecret: ["new secret", APP_SECRET]
+        }).validateSignature(launch.params), { secretIndex: 0 });
+    });
+
+    it("uses the given issuedAt", function() {
+        var issuedAt = new Date(Date.now() - 1000);
+
+        var launch = Speakap.createSignedRequest(getSignedParams(APP_SECRET), APP_SECRET, {
+            issuedAt: issuedAt
+        });
+
+        assert.equal(launch.params.issuedAt, issuedAt.toISOString());
+    });
+
+    it("accepts a timestamp as issuedAt", function() {
+        var issuedAt = Date.now() - 1000;
+
+        var launch = Speakap.createSignedRequest(getSignedParams(APP_SECRET), APP_SECRET, {
+            issuedAt: issuedAt
+        });
+
+        assert.equal(launch.params.issuedAt, new Date(issuedAt).toISOString());
+        assert.ok(createSignedRequest().validateSignature(launch.params));
+    });
+
+    it("rejects an invalid issuedAt", function() {
+        assert.throws(function() {
+            Speakap.createSignedRequest(getSignedParams(APP_SECRET), APP_SECRET, {
+                issuedAt: "yesterday"
+            });
+        }, /Invalid issuedAt/);
+    });
+});
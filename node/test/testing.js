@@ -0,0 +1,105 @@
+"use strict";
+
+var assert = require("assert");
+
+var Speakap = require("../speakap");
+var FakeSpeakapServer = require("../testing").FakeSpeakapServer;
+
+describe("FakeSpeakapServer", function() {
+
+    var server;
+    var network;
+    var user;
+    var speakapApi;
+
+    beforeEach(function() {
+        server = new FakeSpeakapServer();
+        return server.start().then(function() {
+            network = server.addNetwork({ name: "Acme" });
+            user = server.addUser(network.EID, { fullName: "Jane Doe" });
+            speakapApi = server.createClient({ retry: { maxAttempts: 1 } });
+        });
+    });
+
+    afterEach(function() {
+        return server.stop();
+    });
+
+    it("stores created messages and records requests", function() {
+        return speakapApi.network(network.EID).messages.create({
+            body: "Hello",
+            messageType: "update",
+            recipient: { type: "user", EID: user.EID }
+        }).then(function(message) {
+            assert.ok(message.EID);
+
+            var messages = server.getMessages(network.EID);
+            assert.equal(messages.length, 1);
+            assert.equal(messages[0].body, "Hello");
+
+            assert.equal(server.requests.length, 1);
+            assert.equal(server.requests[0].method, "POST");
+            assert.equal(server.requests[0].path, "/networks/" + network.EID + "/messages/");
+        });
+    });
+
+    it("accepts alerts with a localizable body instead of a body", function() {
+        return speakapApi.network(network.EID).alerts.send({
+            recipients: [{ type: "user", EID: user.EID }],
+            localizableBody: { "en-US": "Hello", "nl-NL": "Hallo" }
+        }).then(function() {
+            var alerts = server.getAlerts(network.EID);
+            assert.equal(alerts.length, 1);
+            assert.deepEqual(alerts[0].localizableBody, { "en-US": "Hello", "nl-NL": "Hallo" });
+        });
+    });
+
+    it("rejects messages without a body", function() {
+        return speakapApi.network(network.EID).messages.create({
+            messageType: "update",
+            recipient: { type: "user", EID: user.EID }
+        }).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.UnprocessableEntityError);
+            assert.equal(error.code, 422);
+            assert.equal(server.getMessages(network.EID).length, 0);
+        });
+    });
+
+    it("rejects requests with an invalid access token", function() {
+        return server.createClient({ appSecret: "another secret" }).get(
+            "/networks/" + network.EID + "/"
+        ).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.UnauthorizedError);
+        });
+    });
+
+    it("replies 400 to malformed paths", function() {
+        return speakapApi.get("/networks/%E0%A4%A/").then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.HttpError);
+            assert.equal(error.status, 400);
+            assert.equal(error.message, "Malformed path");
+        });
+    });
+
+    it("fails requests as instructed", function() {
+        server.fail({ method: "GET", path: /\/users\//, status: 503 });
+
+        var users = speakapApi.network(network.EID).users;
+        return users.get(user.EID).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.ServerError);
+            assert.equal(error.status, 503);
+
+            return users.get(user.EID);
+        }).then(function(result) {
+            assert.equal(result.fullName, "Jane Doe");
+        });
+    });
+});
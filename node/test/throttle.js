@@ -0,0 +1,65 @@
+"use strict";
+
+var assert = require("assert");
+
+var Throttle = require("../throttle");
+
+describe("Throttle", function() {
+
+    it("limits the number of concurrent tasks", function() {
+        var throttle = new Throttle({ maxConcurrent: 1 });
+        var started = [];
+
+        throttle.acquire(function() { started.push(1); });
+        throttle.acquire(function() { started.push(2); });
+        assert.deepEqual(started, [1]);
+
+        throttle.release();
+        assert.deepEqual(started, [1, 2]);
+    });
+
+    it("limits the rate at which tasks are started", function(done) {
+        var throttle = new Throttle({ requestsPerSecond: 20, burst: 1 });
+        var startTime = Date.now();
+
+        throttle.acquire(function() { throttle.release(); });
+        throttle.acquire(function() {
+            assert.ok(Date.now() - startTime >= 40);
+            throttle.release();
+            done();
+        });
+    });
+
+    it("pauses when the API replies with status 429 and a Retry-After header", function() {
+        var throttle = new Throttle();
+        var started = false;
+
+        throttle.acquire(function() {});
+        throttle.release({ statusCode: 429, headers: { "retry-after": "1" } });
+        var ticket = throttle.acquire(function() { started = true; });
+
+        assert.equal(started, false);
+        assert.ok(throttle.pausedUntil - Date.now() > 900);
+
+        clearTimeout(throttle.timer);
+        assert.equal(throttle.cancel(ticket), true);
+    });
+
+    it("waits for the end of a pause without polling if there is no rate limit", function(done) {
+        var throttle = new Throttle();
+        var drainCount = 0;
+        var drain = throttle._drain;
+        throttle._drain = function() {
+            drainCount++;
+            return drain.apply(this, arguments);
+        };
+
+        throttle.pause(50);
+        var startTime = Date.now();
+        throttle.acquire(function() {
+            assert.ok(Date.now() - startTime >= 45);
+            assert.ok(drainCount <= 3, "drained " + drainCount + " times");
+            done();
+        });
+    });
+});
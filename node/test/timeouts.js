@@ -0,0 +1,135 @@
+"use strict";
+
+var assert = require("assert");
+var http = require("http");
+var net = require("net");
+var _ = require("lodash");
+
+var Speakap = require("../speakap");
+
+describe("API timeouts and cancellation", function() {
+
+    var server;
+    var requests;
+    var baseUrl;
+
+    function createClient(config) {
+
+        return new Speakap.API(_.extend({
+            baseUrl: baseUrl,
+            appId: "000a000000000006",
+            appSecret: "legless lizards",
+            proxy: false,
+            retry: { maxAttempts: 1 }
+        }, config));
+    }
+
+    beforeEach(function(done) {
+        requests = [];
+
+        // a server that never replies, except to tell it's unavailable
+        server = http.createServer(function(req, res) {
+            requests.push(res);
+            if (req.url === "/unavailable/") {
+                res.writeHead(503, { "Content-Type": "application/json", "Retry-After": "10" });
+                res.end(JSON.stringify({ code: 503, message: "Service Unavailable" }));
+            }
+        });
+        server.listen(0, "127.0.0.1", function() {
+            baseUrl = "http://127.0.0.1:" + server.address().port;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        requests.forEach(function(res) {
+            res.destroy();
+        });
+        server.close(done);
+    });
+
+    it("fails with a NetworkError if no reply arrives in time", function() {
+        return createClient({ timeout: 50 }).get("/networks/").then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.NetworkError);
+            assert.equal(error.code, -1003);
+            assert.equal(error.method, "GET");
+            assert.equal(error.path, "/networks/");
+        });
+    });
+
+    it("accepts a timeout per request", function() {
+        return createClient().get("/networks/", { timeout: 50 }).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.equal(error.code, -1003);
+        });
+    });
+
+    it("fails with a NetworkError if no connection is established in time", function() {
+        var agent = new http.Agent();
+        agent.createConnection = function() {
+            // a socket that never finishes connecting
+            var socket = new net.Socket();
+            socket.connecting = true;
+            return socket;
+        };
+
+        var speakapApi = createClient({ agent: agent, connectTimeout: 50 });
+        return speakapApi.get("/networks/").then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.NetworkError);
+            assert.equal(error.code, -1002);
+            assert.equal(requests.length, 0);
+        });
+    });
+
+    it("cancels a request when its signal is aborted", function() {
+        var controller = new AbortController();
+        var promise = createClient().get("/networks/", { signal: controller.signal });
+
+        setTimeout(function() {
+            controller.abort();
+        }, 20);
+
+        return promise.then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.RequestAbortedError);
+            assert.equal(error.code, -1004);
+        });
+    });
+
+    it("doesn't make a request if its signal was aborted before", function() {
+        var controller = new AbortController();
+        controller.abort();
+
+        return createClient().get("/networks/", { signal: controller.signal }).then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.RequestAbortedError);
+            assert.equal(requests.length, 0);
+        });
+    });
+
+    it("doesn't retry a request once its signal is aborted", function() {
+        var controller = new AbortController();
+        var speakapApi = createClient({ retry: { maxAttempts: 2 } });
+        var promise = speakapApi.get("/unavailable/", { signal: controller.signal });
+
+        setTimeout(function() {
+            controller.abort();
+        }, 50);
+
+        var startTime = Date.now();
+        return promise.then(function() {
+            assert.fail("Expected the request to fail");
+        }, function(error) {
+            assert.ok(error instanceof Speakap.RequestAbortedError);
+            assert.ok(Date.now() - startTime < 500);
+            assert.equal(requests.length, 1);
+        });
+    });
+});
@@ -0,0 +1,605 @@
+"use strict";
+
+/**
+ * Fake Speakap API server for testing code built on Speakap.API without access to the real API.
+ *
+ * The server runs in-process on a local port and mimics the shape of the Speakap API: it checks the
+ * access token and Accept header of every request, and keeps networks, users, messages and alerts
+ * in memory. Tests can inject failures and inspect the requests that were made:
+ *
+ *   var FakeSpeakapServer = require("speakap/testing").FakeSpeakapServer;
+ *
+ *   var server = new FakeSpeakapServer({ appId: "app", appSecret: "secret" });
+ *   await server.start();
+ *
+ *   var network = server.addNetwork({ name: "Acme" });
+ *   var user = server.addUser(network.EID, { fullName: "Jane Doe" });
+ *   var speakapApi = server.createClient();
+ *
+ *   await speakapApi.network(network.EID).messages.create({
+ *       body: "Hello",
+ *       messageType: "update",
+ *       recipient: { type: "user", EID: user.EID }
+ *   });
+ *
+ *   server.getMessages(network.EID); // contains the message
+ *   server.requests; // contains the POST request
+ *
+ *   server.fail({ method: "GET", path: /\/users\//, status: 503 });
+ *
+ *   await server.stop();
+ *
+ * The following endpoints are supported, all relative to /networks/:network/:
+ *
+ *   GET (the network itself)
+ *   GET users/, GET, PUT and DELETE users/:user/
+ *   GET and POST messages/, GET, PUT and DELETE messages/:message/, POST messages/:message/markread
+ *   GET timeline/ (the messages of the network, newest first)
+ *   GET and POST alerts/
+ *
+ * Collections are paginated using the offset and limit query parameters, and their items are
+ * embedded in the _embedded property of the reply. Errors are replied in the same format as the
+ * Speakap API, which is an object with code and message properties. For errors generated by the
+ * fake server, the code equals the HTTP status.
+ *
+ * To test against replies recorded from the real Speakap API instead, use the Recorder, which is
+ * also exported by this module. See recorder.js.
+ */
+
+var crypto = require("crypto");
+var http = require("http");
+var querystring = require("querystring");
+var _ = require("lodash");
+
+var Speakap = require("./speakap");
+var withCallback = require("./callbacks").withCallback;
+
+var DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Routes supported by the fake server, mapping a method and path template to the name of the
+ * method handling the request.
+ */
+var ROUTES = [
+    ["GET", "/networks/:network/", "_getNetwork"],
+    ["GET", "/networks/:network/users/", "_listUsers"],
+    ["GET", "/networks/:network/users/:user/", "_getUser"],
+    ["PUT", "/networks/:network/users/:user/", "_updateUser"],
+    ["DELETE", "/networks/:network/users/:user/", "_deleteUser"],
+    ["GET", "/networks/:network/messages/", "_listMessages"],
+    ["POST", "/networks/:network/messages/", "_createMessage"],
+    ["GET", "/networks/:network/messages/:message/", "_getMessage"],
+    ["PUT", "/networks/:network/messages/:message/", "_updateMessage"],
+    ["DELETE", "/networks/:network/messages/:message/", "_deleteMessage"],
+    ["POST", "/networks/:network/messages/:message/markread", "_markMessageRead"],
+    ["GET", "/networks/:network/timeline/", "_listTimeline"],
+    ["GET", "/networks/:network/alerts/", "_listAlerts"],
+    ["POST", "/networks/:network/alerts/", "_createAlert"]
+];
+
+var COMPILED_ROUTES = _.map(ROUTES, function(route) {
+    var names = [];
+    var pattern = route[1].replace(/:([a-z]+)/g, function(match, name) {
+        names.push(name);
+        return "([^/]+)";
+    });
+    return { method: route[0], names: names, pattern: new RegExp("^" + pattern + "$"),
+             handler: route[2] };
+});
+
+function generateEid() {
+
+    return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Returns a reply containing an error in the format of the Speakap API.
+ */
+function errorReply(status, message) {
+
+    return { status: status, body: { code: status, message: message } };
+}
+
+/**
+ * Returns a reply containing a page of a collection.
+ */
+function pageReply(name, items, query) {
+
+    var offset = parseInt(query.offset, 10) || 0;
+    var limit = parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+    var embedded = {};
+    embedded[name] = _.cloneDeep(items.slice(offset, offset + limit));
+    return { status: 200, body: { _embedded: embedded, total: items.length } };
+}
+
+/**
+ * Returns whether the data of a message or alert contains a body, either as plain body or as
+ * localizableBody mapping locales to bodies.
+ */
+function hasBody(data) {
+
+    return (_.isString(data.body) && !!data.body) ||
+           (_.isPlainObject(data.localizableBody) && !_.isEmpty(data.localizableBody));
+}
+
+/**
+ * Returns whether a recorded request matches the method and path of an injected failure.
+ */
+function matchesFailure(failure, request) {
+
+    if (failure.method && failure.method !== request.method) {
+        return false;
+    }
+    if (_.isRegExp(failure.path)) {
+        return failure.path.test(request.path);
+    }
+    return !failure.path || failure.path === request.path;
+}
+
+/**
+ * Parses a request body according to its content type. Bodies of other types, such as multipart
+ * bodies, are returned as string.
+ */
+function parseBody(contentType, body) {
+
+    if (!body) {
+        return null;
+    } else if (/^application\/json/.test(contentType)) {
+        try {
+            return JSON.parse(body);
+        } catch(exception) {
+            return body;
+        }
+    } else if (/^application\/x-www-form-urlencoded/.test(contentType)) {
+        return querystring.parse(body);
+    } else {
+        return body;
+    }
+}
+
+function sendReply(res, reply) {
+
+    var headers = _.extend({}, reply.headers);
+    var body = "";
+    if (reply.status !== 204 && !_.isUndefined(reply.body)) {
+        body = (_.isString(reply.body) ? reply.body : JSON.stringify(reply.body));
+        headers["Content-Type"] = (_.isString(reply.body) ? "text/plain" : "application/json");
+    }
+
+    res.writeHead(reply.status, headers);
+    res.end(body);
+}
+
+/**
+ * @param options Optional options object. May contain the following properties:
+ *                appId - App ID clients should use. By default, this is "app".
+ *                appSecret - App secret clients should use. By default, this is "secret".
+ *                apiVersion - API version clients should request in their Accept header. By
+ *                             default, this is "1.1".
+ *                port - Port to listen on. By default, a random free port is used.
+ */
+function FakeSpeakapServer(options) {
+
+    options = options || {};
+
+    this.appId = options.appId || "app";
+    this.appSecret = options.appSecret || "secret";
+    this.apiVersion = options.apiVersion || "1.1";
+    this.port = options.port || 0;
+
+    this.server = null;
+    this.url = null;
+
+    this.reset();
+}
+
+_.extend(FakeSpeakapServer.prototype, {
+
+    /**
+     * Adds a network.
+     *
+     * @param network Optional object with the properties of the network. An EID is generated if
+     *                none is given.
+     *
+     * @return The network, including its EID.
+     */
+    addNetwork: function(network) {
+
+        network = _.extend({ EID: generateEid() }, network);
+        this.networks[network.EID] = { network: network, users: [], messages: [], alerts: [] };
+        return _.cloneDeep(network);
+    },
+
+    /**
+     * Adds a user to a network.
+     *
+     * @param networkEid EID of the network, which should have been added already.
+     * @param user Optional object with the properties of the user. An EID is generated if none is
+     *             given.
+     *
+     * @return The user, including its EID.
+     */
+    addUser: function(networkEid, user) {
+
+        user = _.extend({ EID: generateEid() }, user);
+        this._networkData(networkEid).users.push(user);
+        return _.cloneDeep(user);
+    },
+
+    /**
+     * Returns a Speakap.API instance that talks to the fake server. The server should have been
+     * started already.
+     *
+     * @param config Optional config object, overriding properties of the config used for the
+     *               API instance. See Speakap.API.
+     */
+    createClient: function(config) {
+
+        return new Speakap.API(_.extend({
+            baseUrl: this.url,
+            appId: this.appId,
+            appSecret: this.appSecret,
+            apiVersion: this.apiVersion,
+            proxy: false
+        }, config));
+    },
+
+    /**
+     * Makes requests fail.
+     *
+     * @param options Optional options object. May contain the following properties:
+     *                method - HTTP method of the requests that should fail. By default, requests
+     *                         with any method fail.
+     *                path - Path (without query string) or regular expression matching the paths
+     *                       of the requests that should fail. By default, requests to any path
+     *                       fail.
+     *                status - HTTP status of the reply. By default, this is 500.
+     *                code - Code of the error in the reply. By default, this equals the status.
+     *                message - Message of the error in the reply.
+     *                headers - Object containing additional headers of the reply, such as
+     *                          Retry-After.
+     *                body - String to reply instead of an error object, e.g. to simulate an
+     *                       unexpected reply.
+     *                disconnect - If true, the connection is closed without replying, which
+     *                             makes the request fail with a network error.
+     *                times - Number of requests that should fail. By default, this is 1. Use
+     *                        Infinity to make all matching requests fail.
+     *
+     * Failures are applied in the order in which they were added, after the request is recorded
+     * but before it is authorized.
+     *
+     * @return The server, so calls can be chained.
+     */
+    fail: function(options) {
+
+        this.failures.push(_.extend({ status: 500, times: 1 }, options));
+        return this;
+    },
+
+    /**
+     * Returns copies of the alerts sent to a network, in the order in which they were sent.
+     */
+    getAlerts: function(networkEid) {
+
+        return _.cloneDeep(this._networkData(networkEid).alerts);
+    },
+
+    /**
+     * Returns copies of the messages of a network, in the order in which they were created.
+     * Deleted messages are not included.
+     */
+    getMessages: function(networkEid) {
+
+        return _.cloneDeep(this._networkData(networkEid).messages);
+    },
+
+    /**
+     * Returns copies of the users of a network.
+     */
+    getUsers: function(networkEid) {
+
+        return _.cloneDeep(this._networkData(networkEid).users);
+    },
+
+    /**
+     * Removes all networks, users, messages, alerts, injected failures and recorded requests.
+     */
+    reset: function() {
+
+        this.networks = {};
+        this.failures = [];
+
+        /**
+         * Requests received by the server, in the order in which they were received. Every
+         * request is an object containing the method, path (without query string), query
+         * (parsed into an object), headers and body (parsed if it is JSON or form-encoded).
+         */
+        this.requests = [];
+    },
+
+    /**
+     * Starts the server. Once started, the url property contains the base URL of the server,
+     * which can be passed as baseUrl to Speakap.API.
+     *
+     * @param callback Optional callback that receives an error, if any.
+     *
+     * @return A Promise if no callback is given.
+     */
+    start: function(callback) {
+
+        var self = this;
+        var promise = new Promise(function(resolve, reject) {
+            self.server = http.createServer(function(req, res) {
+                self._handleRequest(req, res);
+            });
+            self.server.once("error", reject);
+            self.server.listen(self.port, "127.0.0.1", function() {
+                self.server.removeListener("error", reject);
+                self.url = "http://127.0.0.1:" + self.server.address().port;
+                resolve();
+            });
+        });
+
+        return withCallback(promise, callback);
+    },
+
+    /**
+     * Stops the server, closing all open connections.
+     *
+     * @param callback Optional callback that receives an error, if any.
+     *
+     * @return A Promise if no callback is given.
+     */
+    stop: function(callback) {
+
+        var server = this.server;
+        this.server = null;
+        this.url = null;
+
+        var promise = new Promise(function(resolve, reject) {
+            if (!server) {
+                resolve();
+                return;
+            }
+
+            server.close(function(error) {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+        });
+
+        return withCallback(promise, callback);
+    },
+
+    _handleRequest: function(req, res) {
+
+        var self = this;
+        var body = "";
+        req.setEncoding("utf8");
+        req.on("data", function(chunk) { body += chunk; });
+        req.on("end", function() {
+            var index = req.url.indexOf("?");
+            var request = {
+                method: req.method,
+                path: (index > -1 ? req.url.slice(0, index) : req.url),
+                query: (index > -1 ? querystring.parse(req.url.slice(index + 1)) : {}),
+                headers: req.headers,
+                body: parseBody(req.headers["content-type"], body)
+            };
+            self.requests.push(request);
+
+            var failure = _.find(self.failures, function(failure) {
+                return matchesFailure(failure, request);
+            });
+            if (failure) {
+                if (--failure.times <= 0) {
+                    self.failures.splice(self.failures.indexOf(failure), 1);
+                }
+                if (failure.disconnect) {
+                    req.socket.destroy();
+                } else {
+                    sendReply(res, {
+                        status: failure.status,
+                        headers: failure.headers,
+                        body: (_.isUndefined(failure.body) ? {
+                            code: (_.isUndefined(failure.code) ? failure.status : failure.code),
+                            message: failure.message || http.STATUS_CODES[failure.status]
+                        } : failure.body)
+                    });
+                }
+                return;
+            }
+
+            sendReply(res, self._route(request));
+        });
+    },
+
+    _route: function(request) {
+
+        if (request.headers.authorization !== "Bearer " + this.appId + "_" + this.appSecret) {
+            return errorReply(401, "Invalid access token");
+        }
+        if (request.headers.accept !== "application/vnd.speakap.api-v" + this.apiVersion +
+                                       "+json") {
+            return errorReply(406, "Unsupported Accept header");
+        }
+
+        var params = {};
+        var pathMatches = false;
+        var route;
+        try {
+            route = _.find(COMPILED_ROUTES, function(route) {
+                var match = route.pattern.exec(request.path);
+                if (!match) {
+                    return false;
+                }
+
+                pathMatches = true;
+                _.each(route.names, function(name, index) {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return route.method === request.method;
+            });
+        } catch(exception) {
+            return errorReply(400, "Malformed path");
+        }
+
+        if (!route) {
+            return (pathMatches ? errorReply(405, "Method not allowed") :
+                                  errorReply(404, "Unknown endpoint"));
+        }
+
+        var networkData = this.networks[params.network];
+        if (!networkData) {
+            return errorReply(404, "Network not found");
+        }
+
+        return this[route.handler](networkData, params, request);
+    },
+
+    _networkData: function(networkEid) {
+
+        var networkData = this.networks[networkEid];
+        if (!networkData) {
+            throw new Error("Unknown network: " + networkEid);
+        }
+        return networkData;
+    },
+
+    _getNetwork: function(networkData) {
+
+        return { status: 200, body: _.cloneDeep(networkData.network) };
+    },
+
+    _listUsers: function(networkData, params, request) {
+
+        return pageReply("users", networkData.users, request.query);
+    },
+
+    _getUser: function(networkData, params) {
+
+        var user = _.find(networkData.users, { EID: params.user });
+        return (user ? { status: 200, body: _.cloneDeep(user) } :
+                       errorReply(404, "User not found"));
+    },
+
+    _updateUser: function(networkData, params, request) {
+
+        var user = _.find(networkData.users, { EID: params.user });
+        if (!user) {
+            return errorReply(404, "User not found");
+        }
+
+        _.extend(user, _.omit(request.body, "EID"));
+        return { status: 200, body: _.cloneDeep(user) };
+    },
+
+    _deleteUser: function(networkData, params) {
+
+        var removed = _.remove(networkData.users, { EID: params.user });
+        return (removed.length ? { status: 204 } : errorReply(404, "User not found"));
+    },
+
+    _listMessages: function(networkData, params, request) {
+
+        return pageReply("messages", networkData.messages, request.query);
+    },
+
+    _createMessage: function(networkData, params, request) {
+
+        var data = request.body;
+        if (!_.isObject(data) || !hasBody(data)) {
+            return errorReply(422, "Message body is required");
+        }
+        if (!_.isObject(data.recipient) || !data.recipient.type || !data.recipient.EID) {
+            return errorReply(422, "Message recipient is required");
+        }
+
+        var now = new Date().toISOString();
+        var message = _.extend({ messageType: "update" }, data, {
+            EID: generateEid(),
+            created: now,
+            modified: now,
+            isRead: false
+        });
+        networkData.messages.push(message);
+        return { status: 201, body: _.cloneDeep(message) };
+    },
+
+    _getMessage: function(networkData, params) {
+
+        var message = _.find(networkData.messages, { EID: params.message });
+        return (message ? { status: 200, body: _.cloneDeep(message) } :
+                          errorReply(404, "Message not found"));
+    },
+
+    _updateMessage: function(networkData, params, request) {
+
+        var message = _.find(networkData.messages, { EID: params.message });
+        if (!message) {
+            return errorReply(404, "Message not found");
+        }
+
+        _.extend(message, _.omit(request.body, ["EID", "created"]), {
+            modified: new Date().toISOString()
+        });
+        return { status: 200, body: _.cloneDeep(message) };
+    },
+
+    _deleteMessage: function(networkData, params) {
+
+        var removed = _.remove(networkData.messages, { EID: params.message });
+        return (removed.length ? { status: 204 } : errorReply(404, "Message not found"));
+    },
+
+    _markMessageRead: function(networkData, params) {
+
+        var message = _.find(networkData.messages, { EID: params.message });
+        if (!message) {
+            return errorReply(404, "Message not found");
+        }
+
+        message.isRead = true;
+        return { status: 204 };
+    },
+
+    _listTimeline: function(networkData, params, request) {
+
+        return pageReply("messages", networkData.messages.slice().reverse(), request.query);
+    },
+
+    _listAlerts: function(networkData, params, request) {
+
+        return pageReply("alerts", networkData.alerts, request.query);
+    },
+
+    _createAlert: function(networkData, params, request) {
+
+        var data = request.body;
+        if (!_.isObject(data) || !hasBody(data)) {
+            return errorReply(422, "Alert body is required");
+        }
+        if (!_.isObject(data.recipient) && !_.isArray(data.recipients)) {
+            return errorReply(422, "Alert recipient is required");
+        }
+
+        networkData.alerts.push(_.extend({}, data, {
+            EID: generateEid(),
+            created: new Date().toISOString()
+        }));
+        return { status: 204 };
+    }
+
+});
+
+module.exports = {
+    FakeSpeakapServer: FakeSpeakapServer,
+    Recorder: require("./recorder")
+};
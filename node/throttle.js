@@ -0,0 +1,159 @@
+"use strict";
+
+/**
+ * Client-side throttling for requests to the Speakap API.
+ *
+ * Every API instance has a Throttle which limits the number of concurrent requests and the rate at
+ * which requests are started, using a token bucket. In addition, it pauses all requests when the
+ * Speakap API indicates its rate limit is exceeded, either by replying with HTTP status 429 or
+ * through the X-RateLimit-Remaining and X-RateLimit-Reset headers.
+ */
+
+var _ = require("lodash");
+
+var DEFAULT_RATE_LIMIT_PAUSE = 1000; // ms
+
+/**
+ * Returns the time in milliseconds until the moment specified by a Retry-After or
+ * X-RateLimit-Reset header. These specify either a number of seconds, a Unix timestamp in seconds
+ * or an HTTP date.
+ */
+function parseDelay(value) {
+
+    if (/^\d+$/.test(value)) {
+        var seconds = parseInt(value, 10);
+        return (seconds > 1000000000 ? seconds * 1000 - Date.now() : seconds * 1000);
+    }
+
+    var date = new Date(value).getTime();
+    return (_.isNaN(date) ? NaN : date - Date.now());
+}
+
+/**
+ * @param options Optional options object. May contain the following properties:
+ *                maxConcurrent - Maximum number of requests in progress at the same time. By
+ *                                default, there is no limit.
+ *                requestsPerSecond - Rate at which requests may be started. By default, there is
+ *                                    no limit.
+ *                burst - Number of requests that may be started at once before the rate limit
+ *                        applies. By default, this is requestsPerSecond (or 1 if that is less).
+ */
+function Throttle(options) {
+
+    options = options || {};
+
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.requestsPerSecond = options.requestsPerSecond || Infinity;
+    this.burst = options.burst || Math.max(1, this.requestsPerSecond);
+
+    this.active = 0;
+    this.queue = [];
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.timer = null;
+}
+
+_.extend(Throttle.prototype, {
+
+    /**
+     * Queues a task. The task is called without arguments as soon as the limits allow. Once the
+     * task is done, it should call release().
+     *
+     * @return A ticket that can be passed to cancel().
+     */
+    acquire: function(task) {
+
+        var ticket = { task: task };
+        this.queue.push(ticket);
+        this._drain();
+        return ticket;
+    },
+
+    /**
+     * Removes a task from the queue.
+     *
+     * @return true if the task was still queued, false if it has already been started.
+     */
+    cancel: function(ticket) {
+
+        var index = this.queue.indexOf(ticket);
+        if (index === -1) {
+            return false;
+        }
+
+        this.queue.splice(index, 1);
+        return true;
+    },
+
+    /**
+     * Signals a task is done.
+     *
+     * @param res Optional response object, whose status code and rate limit headers are used to
+     *            pause requests if the rate limit of the Speakap API has been exceeded.
+     */
+    release: function(res) {
+
+        this.active--;
+
+        if (res) {
+            var headers = res.headers || {};
+            var delay;
+            if (res.statusCode === 429) {
+                delay = parseDelay(headers["retry-after"] || headers["x-ratelimit-reset"] || "");
+                this.pause(_.isNaN(delay) ? DEFAULT_RATE_LIMIT_PAUSE : delay);
+            } else if (headers["x-ratelimit-remaining"] === "0" && headers["x-ratelimit-reset"]) {
+                delay = parseDelay(headers["x-ratelimit-reset"]);
+                if (!_.isNaN(delay)) {
+                    this.pause(delay);
+                }
+            }
+        }
+
+        this._drain();
+    },
+
+    /**
+     * Prevents any queued task from starting for the given number of milliseconds.
+     */
+    pause: function(delay) {
+
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        this._drain();
+    },
+
+    _drain: function() {
+
+        var now = Date.now();
+        if (this.requestsPerSecond !== Infinity) {
+            this.tokens = Math.min(this.burst, this.tokens +
+                                   (now - this.lastRefill) * this.requestsPerSecond / 1000);
+        }
+        this.lastRefill = now;
+
+        while (this.queue.length && this.active < this.maxConcurrent &&
+               now >= this.pausedUntil && this.tokens >= 1) {
+            if (this.requestsPerSecond !== Infinity) {
+                this.tokens--;
+            }
+            this.active++;
+            this.queue.shift().task();
+        }
+
+        if (this.queue.length && this.active < this.maxConcurrent && !this.timer) {
+            // without a rate limit there are always tokens, and computing the wait for one would
+            // give NaN
+            var tokenWait = (this.requestsPerSecond !== Infinity ?
+                             (1 - this.tokens) * 1000 / this.requestsPerSecond : 0);
+            var wait = Math.max(this.pausedUntil - now, tokenWait, 0);
+            var self = this;
+            this.timer = setTimeout(function() {
+                self.timer = null;
+                self._drain();
+            }, Math.ceil(wait));
+        }
+    }
+
+});
+
+module.exports = Throttle;